@@ -0,0 +1,310 @@
+// alerts.js — declarative alert rules evaluated against the fleet state
+//
+// Rules file (ALERTS_FILE, see alerts.example.json):
+// {
+//   "rules": [
+//     { "id": "suspended-working", "type": "suspendedActive" },
+//     { "id": "offer-stuck", "type": "statusDuration", "code": "JobOffered", "seconds": 120 },
+//     { "id": "low-clear", "type": "countBelow", "code": "Clear", "threshold": 3 },
+//     { "id": "silent-timeout", "type": "pingTimeout", "maxMinutes": 240 },
+//     { "id": "rejections", "type": "rejectionRate", "threshold": 0.2, "factor": 3 }
+//   ],
+//   "notify": {
+//     "webhooks": [{ "url": "https://…", "headers": { … } }],
+//     "smtp": { "host", "port", "secure", "user", "pass", "from", "to": ["…"] }
+//   }
+// }
+//
+// Every rule is a condition over the current state. An alert fires when its
+// condition becomes true and resolves when it stops being true. Notifications
+// go out once per firing, and not again for the same alert inside
+// cooldownSeconds of the last one. With several server instances only the
+// one for which canNotify() is true sends them.
+//
+// Active alerts and when each was last notified are handed to persist.save()
+// whenever they change and read back from persist.load() at start, so a
+// restart neither re-sends standing alerts nor forgets a cooldown.
+import fs from "fs";
+import fetch from "node-fetch";
+import nodemailer from "nodemailer";
+
+const DEFAULT_COOLDOWN_SECONDS = 900;
+const DEFAULT_PING_TIMEOUT_MAX_MINUTES = 240;
+const RECENT_LIMIT = 200;
+// Notification times older than this are dropped from the saved state
+const NOTIFIED_KEEP_MS = 24 * 60 * 60 * 1000;
+
+export function loadAlertConfig(file) {
+  if (!fs.existsSync(file)) return null;
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  return {
+    rules: (Array.isArray(raw?.rules) ? raw.rules : []).filter(r => r?.id && RULE_TYPES[r.type]),
+    notify: raw?.notify || {},
+  };
+}
+
+/**
+ * Each rule type returns the alerts whose condition currently holds:
+ * [{ key, callsign, message }]. ctx.vehicles is
+ * [{ callsign, rec, online, code, suspended, override, statusSinceMs, codeSinceMs }],
+ * where override is the kind of an active dispatcher override (or null) and
+ * statusSinceMs is when the record's status last changed (rec.statusSince,
+ * which survives restarts); codeSinceMs is that, or failing it when the
+ * engine first saw the code. ctx.ingestTotals
+ * (fromMs, toMs) -> { items, rejected } counts webhook items.
+ */
+const RULE_TYPES = {
+  // A suspended vehicle is sending Status tracks (i.e. online with a status)
+  suspendedActive(rule, ctx) {
+    return ctx.vehicles
+      .filter(v => v.suspended && v.online && v.code && v.code !== "NotWorking")
+      .map(v => ({
+        key: v.callsign,
+        callsign: v.callsign,
+        message: `Suspended vehicle ${v.callsign} is working (${v.code})`,
+      }));
+  },
+
+  // A vehicle has held rule.code for longer than rule.seconds
+  statusDuration(rule, ctx) {
+    const limitMs = Number(rule.seconds || 0) * 1000;
+    return ctx.vehicles
+      .filter(v => v.online && v.code === rule.code && ctx.now - v.codeSinceMs > limitMs)
+      .map(v => ({
+        key: v.callsign,
+        callsign: v.callsign,
+        message: `${v.callsign} has been ${rule.code} for ${Math.round((ctx.now - v.codeSinceMs) / 1000)}s (limit ${rule.seconds}s)`,
+      }));
+  },
+
+  // Fewer than rule.threshold online vehicles in rule.code
+  countBelow(rule, ctx) {
+    const count = ctx.vehicles.filter(v => v.online && !v.suspended && v.code === rule.code).length;
+    if (count >= Number(rule.threshold)) return [];
+    return [{
+      key: "fleet",
+      callsign: null,
+      message: `Only ${count} vehicle(s) ${rule.code} (threshold ${rule.threshold})`,
+    }];
+  },
+
+  // Timed out on PING_TIMEOUT_MINUTES while still explicitly on shift. A car
+  // a dispatcher forced offline is offline on purpose, not silent. Once the
+  // last ping is older than rule.maxMinutes the car is taken to have gone
+  // home without a shift end, and the alert resolves.
+  pingTimeout(rule, ctx) {
+    const maxMs = Number(rule.maxMinutes ?? DEFAULT_PING_TIMEOUT_MAX_MINUTES) * 60000;
+    const silentFor = (v) => ctx.now - Date.parse(v.rec?.lastPingAt || v.rec?.updatedAt || "");
+    return ctx.vehicles
+      .filter(v => !v.online && v.rec?.explicitOnline === true && v.code !== "NotWorking" && v.override !== "offline")
+      .filter(v => silentFor(v) <= maxMs)
+      .map(v => ({
+        key: v.callsign,
+        callsign: v.callsign,
+        message: `${v.callsign} stopped pinging while on shift (last ping ${v.rec.lastPingAt || "never"})`,
+      }));
+  },
+
+  // Share of rejected webhook items over the last windowSeconds is at least
+  // threshold and factor× what it was over the baselineSeconds before that
+  rejectionRate(rule, ctx) {
+    if (!ctx.ingestTotals) return [];
+    const windowMs = Number(rule.windowSeconds || 300) * 1000;
+    const baselineMs = Number(rule.baselineSeconds || 3600) * 1000;
+
+    const recent = ctx.ingestTotals(ctx.now - windowMs, ctx.now + 60000);
+    if (recent.items < Number(rule.minItems ?? 20)) return [];
+    const rate = recent.rejected / recent.items;
+
+    const before = ctx.ingestTotals(ctx.now - windowMs - baselineMs, ctx.now - windowMs);
+    const baseRate = before.items ? before.rejected / before.items : 0;
+
+    if (rate < Number(rule.threshold ?? 0.1) || rate < baseRate * Number(rule.factor ?? 2)) return [];
+    const pct = (x) => `${Math.round(x * 100)}%`;
+    return [{
+      key: "ingest",
+      callsign: null,
+      message: `${pct(rate)} of webhook items rejected in the last ${Math.round(windowMs / 1000)}s (was ${pct(baseRate)}); see /api/ingest/rejections`,
+    }];
+  },
+};
+
+/**
+ * persist: { load() -> { active: [alert], lastNotifiedAt: { id: ms } } | null,
+ *            save(state) }; omit it to keep everything in memory.
+ */
+export function createAlertEngine({ rules, notify, onChange = () => {}, canNotify = () => true, persist = null }) {
+  const active = new Map();       // `${ruleId}:${key}` -> alert
+  const recent = [];              // newest first, fired + resolved
+  const lastNotifiedAt = new Map(); // `${ruleId}:${key}` -> ms
+  const codeSince = new Map();    // callsign -> { code, sinceMs }
+
+  try {
+    const saved = persist?.load();
+    for (const alert of saved?.active || []) if (alert?.id) active.set(alert.id, alert);
+    for (const [id, ms] of Object.entries(saved?.lastNotifiedAt || {})) lastNotifiedAt.set(id, Number(ms));
+    if (active.size) console.log(`alerts: restored ${active.size} active alert(s)`);
+  } catch (e) {
+    console.warn("alerts: cannot restore saved state:", e.message);
+  }
+
+  function save(now) {
+    if (!persist) return;
+    for (const [id, ms] of lastNotifiedAt) if (now - ms > NOTIFIED_KEEP_MS) lastNotifiedAt.delete(id);
+    try {
+      persist.save({ active: Array.from(active.values()), lastNotifiedAt: Object.fromEntries(lastNotifiedAt) });
+    } catch (e) {
+      console.warn("alerts: cannot save state:", e.message);
+    }
+  }
+
+  const transport = notify?.smtp?.host
+    ? nodemailer.createTransport({
+        host: notify.smtp.host,
+        port: Number(notify.smtp.port || 587),
+        secure: notify.smtp.secure === true,
+        auth: notify.smtp.user ? { user: notify.smtp.user, pass: notify.smtp.pass } : undefined,
+      })
+    : null;
+
+  function remember(alert) {
+    recent.unshift({ ...alert });
+    if (recent.length > RECENT_LIMIT) recent.length = RECENT_LIMIT;
+  }
+
+  async function send(event, alert) {
+    if (!canNotify()) return;
+    const payload = { event, alert };
+
+    for (const hook of notify?.webhooks || []) {
+      try {
+        const r = await fetch(hook.url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", ...(hook.headers || {}) },
+          body: JSON.stringify(payload),
+        });
+        if (!r.ok) console.warn(`alert webhook ${hook.url} -> HTTP ${r.status}`);
+      } catch (e) {
+        console.warn(`alert webhook ${hook.url} failed:`, e.message);
+      }
+    }
+
+    if (transport && notify.smtp.to?.length) {
+      try {
+        await transport.sendMail({
+          from: notify.smtp.from || notify.smtp.user,
+          to: notify.smtp.to,
+          subject: `[${alert.severity.toUpperCase()}] ${event === "resolved" ? "Resolved: " : ""}${alert.message}`,
+          text: `${alert.message}\n\nRule: ${alert.ruleId}\nFirst seen: ${alert.firstAt}\n${alert.resolvedAt ? `Resolved: ${alert.resolvedAt}\n` : ""}`,
+        });
+      } catch (e) {
+        console.warn("alert email failed:", e.message);
+      }
+    }
+  }
+
+  function evaluate(vehicles, now = Date.now(), extra = {}) {
+    for (const v of vehicles) {
+      const prev = codeSince.get(v.callsign);
+      if (!prev || prev.code !== v.code) codeSince.set(v.callsign, { code: v.code, sinceMs: now });
+      v.codeSinceMs = Number.isFinite(v.statusSinceMs) ? v.statusSinceMs : codeSince.get(v.callsign).sinceMs;
+    }
+
+    const ctx = { now, vehicles, ...extra };
+    const holding = new Set();
+    let changed = false;
+
+    for (const rule of rules) {
+      let hits;
+      try {
+        hits = RULE_TYPES[rule.type](rule, ctx);
+      } catch (e) {
+        console.warn(`alert rule ${rule.id} failed:`, e.message);
+        continue;
+      }
+
+      for (const hit of hits) {
+        const id = `${rule.id}:${hit.key}`;
+        holding.add(id);
+
+        const existing = active.get(id);
+        if (existing) {
+          existing.message = hit.message;
+          existing.lastAt = new Date(now).toISOString();
+          continue;
+        }
+
+        const alert = {
+          id,
+          ruleId: rule.id,
+          type: rule.type,
+          severity: rule.severity || "warning",
+          callsign: hit.callsign,
+          message: hit.message,
+          firstAt: new Date(now).toISOString(),
+          lastAt: new Date(now).toISOString(),
+          resolvedAt: null,
+        };
+        active.set(id, alert);
+        changed = true;
+        remember(alert);
+        console.warn(`ALERT fired: ${alert.message}`);
+        onChange("fired", alert);
+
+        const cooldownMs = Number(rule.cooldownSeconds ?? DEFAULT_COOLDOWN_SECONDS) * 1000;
+        if (now - (lastNotifiedAt.get(id) || 0) >= cooldownMs) {
+          lastNotifiedAt.set(id, now);
+          send("fired", alert);
+        }
+      }
+    }
+
+    for (const [id, alert] of active) {
+      if (holding.has(id)) continue;
+      active.delete(id);
+      changed = true;
+      alert.resolvedAt = new Date(now).toISOString();
+      remember(alert);
+      console.log(`ALERT resolved: ${alert.message}`);
+      onChange("resolved", alert);
+
+      const rule = rules.find(r => r.id === alert.ruleId);
+      if (rule?.notifyResolved) send("resolved", alert);
+    }
+
+    // Forget callsigns that left the fleet
+    const seen = new Set(vehicles.map(v => v.callsign));
+    for (const cs of codeSince.keys()) if (!seen.has(cs)) codeSince.delete(cs);
+
+    if (changed) save(now);
+  }
+
+  // A callsign's data erased on request: its alerts, active or recent, and
+  // their cooldowns go without a resolve notification -> number of alerts removed
+  function erase(callsign, now = Date.now()) {
+    let removed = 0;
+    for (const [id, alert] of active) {
+      if (alert.callsign !== callsign) continue;
+      active.delete(id);
+      lastNotifiedAt.delete(id);
+      removed++;
+    }
+    for (let i = recent.length - 1; i >= 0; i--) {
+      if (recent[i].callsign !== callsign) continue;
+      lastNotifiedAt.delete(recent[i].id);
+      recent.splice(i, 1);
+      removed++;
+    }
+    codeSince.delete(callsign);
+    save(now);
+    return removed;
+  }
+
+  return {
+    evaluate,
+    erase,
+    list() {
+      return { active: Array.from(active.values()), recent: recent.slice() };
+    },
+  };
+}
@@ -0,0 +1,56 @@
+// auth.js — users file + credential hashing, shared by server.js and the users.js CLI
+import fs from "fs";
+import crypto from "crypto";
+
+export const ROLES = ["viewer", "admin"];
+
+// viewer < admin
+export function roleAtLeast(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(role);
+}
+
+/**
+ * users file:
+ * {
+ *   users:   [{ username, role, passwordHash }],  // passwordHash = "scrypt$<salt b64>$<hash b64>"
+ *   apiKeys: [{ name, role, keyHash, kiosk? }]    // keyHash = sha256 hex of the key;
+ *                                                 // kiosk keys are read-only (GET) viewers
+ * }
+ */
+export function loadUsersFile(file) {
+  if (!fs.existsSync(file)) return null;
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  return {
+    users: Array.isArray(raw?.users) ? raw.users : [],
+    apiKeys: Array.isArray(raw?.apiKeys) ? raw.apiKeys : [],
+  };
+}
+
+export function saveUsersFile(file, data) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { encoding: "utf8", mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, saltB64, hashB64] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !saltB64 || !hashB64) return false;
+  const expected = Buffer.from(hashB64, "base64");
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltB64, "base64"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// API keys are long random strings, so a plain SHA-256 is enough to store them
+export function hashApiKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+export function generateApiKey() {
+  return `hk_${crypto.randomBytes(24).toString("base64url")}`;
+}
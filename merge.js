@@ -0,0 +1,133 @@
+// merge.js — how a webhook event is merged into a vehicle record
+//
+// Each source owns its own fields and its own watermark (rec.watermarks):
+//
+//   source     webhook          fields it owns                     watermark
+//   shift      ShiftChange      shiftOn, shiftLabel                watermarks.shift
+//   status     Status           driverStatusCode, statusLabel      watermarks.status
+//   heartbeat  HackneyLocation  position                           watermarks.heartbeat
+//
+// Rules:
+//   1. An event is dropped only if it is older than the watermark of its own
+//      source. A late ShiftChange is never lost to a newer Status or ping.
+//   2. lastPingAt is the newest heartbeat-like time seen: pings, Status
+//      tracks and shift starts all count. It only moves forward.
+//   3. explicitOnline is derived, not written, so the result does not depend
+//      on arrival order:
+//        - last ShiftChange said on shift            -> true
+//        - last ShiftChange said off shift           -> false, unless a Status
+//          track is newer than it by more than shiftEndGraceMs (the driver
+//          logged back on and we missed the ShiftChange)
+//        - no ShiftChange with a shift state yet     -> true once any Status
+//          or ping has been seen
+//      Pings alone never re-open a shift that ShiftChange closed.
+//   4. The displayed label (driverStatusLabel) is the newer of the shift label
+//      and the status label; on a tie the status label wins.
+//   5. An event without its own timestamp is applied as of its receipt time
+//      but does not move its watermark, so it cannot cause a later-arriving
+//      timestamped event to be dropped.
+//   6. updatedAt is the newest of the watermarks and lastPingAt; it never
+//      goes backwards.
+//
+// mergeEvent(existing, event, opts) -> { applied: true, rec } | { applied: false, reason }
+
+export const SOURCES = ["shift", "status", "heartbeat"];
+
+const ms = (iso) => {
+  const t = Date.parse(iso);
+  return Number.isFinite(t) ? t : null;
+};
+
+const maxIso = (...isos) => {
+  let best = null;
+  for (const iso of isos) {
+    const t = ms(iso);
+    if (t !== null && (best === null || t > ms(best))) best = iso;
+  }
+  return best;
+};
+
+// Records written before per-source watermarks carry one updatedAt for everything
+function watermarksOf(rec) {
+  if (rec.watermarks) return { shift: null, status: null, heartbeat: null, ...rec.watermarks };
+  const legacy = rec.updatedAt || null;
+  return { shift: legacy, status: legacy, heartbeat: legacy };
+}
+
+function legacyShiftOn(rec) {
+  if (rec.shiftOn !== undefined) return rec.shiftOn;
+  return typeof rec.explicitOnline === "boolean" ? rec.explicitOnline : null;
+}
+
+export function deriveExplicitOnline(rec, { shiftEndGraceMs = 60000 } = {}) {
+  const wm = rec.watermarks || {};
+  if (rec.shiftOn === true) return true;
+  if (rec.shiftOn === false) {
+    const statusMs = ms(wm.status);
+    const shiftMs = ms(wm.shift);
+    return statusMs !== null && shiftMs !== null && statusMs - shiftMs > shiftEndGraceMs;
+  }
+  return wm.status || wm.heartbeat || rec.lastPingAt ? true : null;
+}
+
+function deriveLabel(rec) {
+  const wm = rec.watermarks || {};
+  if (rec.statusLabel == null) return rec.shiftLabel ?? null;
+  if (rec.shiftLabel == null) return rec.statusLabel;
+  const shiftMs = ms(wm.shift) ?? -Infinity;
+  const statusMs = ms(wm.status) ?? -Infinity;
+  return shiftMs > statusMs ? rec.shiftLabel : rec.statusLabel;
+}
+
+/**
+ * event: {
+ *   source: "shift" | "status" | "heartbeat",
+ *   ts: ISO,                 // event time (receipt time when defaulted)
+ *   tsDefaulted: boolean,    // the payload had no timestamp of its own
+ *   shiftOn: true|false|null, shiftLabel,   // shift
+ *   code, label,                             // status
+ *   position,                                // heartbeat ({ lat, lng, speed, heading } or null)
+ * }
+ */
+export function mergeEvent(existing, event, opts = {}) {
+  const prev = existing || {};
+  const wm = watermarksOf(prev);
+  const { source, ts } = event;
+
+  if (!SOURCES.includes(source)) throw new Error(`Unknown merge source ${source}`);
+  const tsMs = ms(ts);
+  if (tsMs === null) return { applied: false, reason: "bad-timestamp" };
+
+  const mark = ms(wm[source]);
+  if (mark !== null && tsMs < mark) return { applied: false, reason: "older" };
+
+  const rec = {
+    ...prev,
+    shiftOn: legacyShiftOn(prev),
+    shiftLabel: prev.shiftLabel ?? null,
+    statusLabel: prev.statusLabel ?? (prev.watermarks ? null : prev.driverStatusLabel ?? null),
+    watermarks: { ...wm },
+  };
+  if (!event.tsDefaulted) rec.watermarks[source] = ts;
+
+  if (source === "shift") {
+    if (event.shiftLabel != null) rec.shiftLabel = event.shiftLabel;
+    if (event.shiftOn === true || event.shiftOn === false) rec.shiftOn = event.shiftOn;
+    if (event.shiftOn === true) rec.lastPingAt = maxIso(rec.lastPingAt, ts);
+  } else if (source === "status") {
+    if (event.code) rec.driverStatusCode = event.code;
+    rec.statusLabel = event.label ?? rec.statusLabel ?? event.code ?? null;
+    rec.lastPingAt = maxIso(rec.lastPingAt, ts);
+  } else {
+    rec.lastPingAt = maxIso(rec.lastPingAt, ts);
+    if (event.position) rec.position = { ...event.position, at: ts };
+  }
+
+  rec.explicitOnline = deriveExplicitOnline(rec, opts);
+  rec.driverStatusLabel = deriveLabel(rec);
+  rec.driverStatus = rec.driverStatusLabel;
+  rec.driverStatusCode = rec.driverStatusCode ?? null;
+  rec.updatedAt = maxIso(prev.updatedAt, rec.watermarks.shift, rec.watermarks.status, rec.watermarks.heartbeat, rec.lastPingAt);
+
+  return { applied: true, rec };
+}
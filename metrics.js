@@ -0,0 +1,138 @@
+// metrics.js — minimal Prometheus text-format registry (exposition format 0.0.4)
+//
+//   const m = createRegistry();
+//   const hits = m.counter("hackney_x_total", "Help text", ["route"]);
+//   hits.inc({ route: "Status" });
+//   m.gauge("hackney_y", "Help", ["code"], () => [[{ code: "Clear" }, 3]]);
+//   res.type(CONTENT_TYPE).send(m.render());
+//
+// Gauges are collected at scrape time from a callback returning
+// [labels, value] pairs, so they never drift from the live state.
+export const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Seconds; suits both webhook handlers and upstream HTTP calls
+export const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labelString(names, labels, extra = "") {
+  const parts = names.map(n => `${n}="${escapeLabel(labels?.[n] ?? "")}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+const keyOf = (names, labels) => JSON.stringify(names.map(n => String(labels?.[n] ?? "")));
+
+function formatValue(v) {
+  if (v === Infinity) return "+Inf";
+  if (v === -Infinity) return "-Inf";
+  return Number.isFinite(v) ? String(v) : "NaN";
+}
+
+export function createRegistry() {
+  const metrics = [];
+
+  function counter(name, help, labelNames = []) {
+    const values = new Map(); // key -> { labels, value }
+    metrics.push({
+      name, help, type: "counter",
+      lines() {
+        return Array.from(values.values()).map(v => `${name}${labelString(labelNames, v.labels)} ${formatValue(v.value)}`);
+      },
+    });
+    return {
+      inc(labels = {}, by = 1) {
+        if (!(by > 0)) return;
+        const k = keyOf(labelNames, labels);
+        const entry = values.get(k) || { labels, value: 0 };
+        entry.value += by;
+        values.set(k, entry);
+      },
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+    const values = new Map(); // key -> { labels, counts[], sum, count }
+    metrics.push({
+      name, help, type: "histogram",
+      lines() {
+        const out = [];
+        for (const v of values.values()) out.push(...histogramLines(name, labelNames, v, buckets));
+        return out;
+      },
+    });
+    return {
+      observe(labels, value) {
+        const k = keyOf(labelNames, labels);
+        let entry = values.get(k);
+        if (!entry) {
+          entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+          values.set(k, entry);
+        }
+        observeInto(entry, buckets, value);
+      },
+      // Start a timer; call the returned function with labels to record seconds
+      startTimer() {
+        const t0 = process.hrtime.bigint();
+        return (labels = {}) => this.observe(labels, Number(process.hrtime.bigint() - t0) / 1e9);
+      },
+    };
+  }
+
+  // collect() -> [[labels, value], ...]
+  function gauge(name, help, labelNames, collect) {
+    metrics.push({
+      name, help, type: "gauge",
+      lines() {
+        return collect().map(([labels, value]) => `${name}${labelString(labelNames, labels)} ${formatValue(value)}`);
+      },
+    });
+  }
+
+  // A histogram rebuilt from scratch on each scrape: collect() -> [numbers]
+  function histogramSnapshot(name, help, buckets, collect) {
+    metrics.push({
+      name, help, type: "histogram",
+      lines() {
+        const entry = { labels: {}, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        for (const v of collect()) observeInto(entry, buckets, v);
+        return histogramLines(name, [], entry, buckets);
+      },
+    });
+  }
+
+  function render() {
+    const out = [];
+    for (const m of metrics) {
+      let lines;
+      try {
+        lines = m.lines();
+      } catch (e) {
+        console.warn(`metric ${m.name} failed:`, e.message);
+        continue;
+      }
+      out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...lines);
+    }
+    return out.join("\n") + "\n";
+  }
+
+  return { counter, histogram, gauge, histogramSnapshot, render };
+}
+
+function observeInto(entry, buckets, value) {
+  for (let i = 0; i < buckets.length; i++) if (value <= buckets[i]) entry.counts[i]++;
+  entry.sum += value;
+  entry.count++;
+}
+
+function histogramLines(name, labelNames, entry, buckets) {
+  const lines = buckets.map((b, i) =>
+    `${name}_bucket${labelString(labelNames, entry.labels, `le="${b}"`)} ${entry.counts[i]}`
+  );
+  lines.push(`${name}_bucket${labelString(labelNames, entry.labels, 'le="+Inf"')} ${entry.count}`);
+  lines.push(`${name}_sum${labelString(labelNames, entry.labels)} ${formatValue(entry.sum)}`);
+  lines.push(`${name}_count${labelString(labelNames, entry.labels)} ${entry.count}`);
+  return lines;
+}
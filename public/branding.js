@@ -0,0 +1,54 @@
+// branding.js — fleet name, brand letter and vehicle filter from /api/config.
+// Classic script (no modules), loaded by every page. URLs are relative so a
+// page works both at / and below a tenant prefix (/t/<tenant>/).
+
+const CONFIG_URL = "api/config";
+
+let fleetConfig = {
+  brand: { letter: "N", title: "Station Rank" },
+  capability: { id: 14, name: "hackney" },
+  basePath: "",
+};
+
+// Resolves once the config is in (or failed to load); pages await it before
+// anything that depends on the capability filter
+const fleetConfigReady = (async () => {
+  try {
+    const res = await fetch(CONFIG_URL, { cache: "no-cache" });
+    if (res.ok) fleetConfig = await res.json();
+  } catch {
+    // keep the defaults
+  }
+  applyBranding();
+  return fleetConfig;
+})();
+
+// The "N" box on every page; [data-brand-title] elements show the fleet title
+function applyBranding() {
+  const { letter, title } = fleetConfig.brand || {};
+  if (letter) document.querySelectorAll(".brand-box").forEach(el => { el.textContent = letter; });
+  if (title) {
+    document.querySelectorAll("[data-brand-title]").forEach(el => { el.textContent = title; });
+    document.title = document.title.replace("Station Rank", title);
+  }
+}
+
+// Does an Autocab vehicle carry this fleet's capability?
+function hasFleetCapability(v) {
+  const id = Number(fleetConfig.capability?.id);
+  const name = String(fleetConfig.capability?.name || "").toLowerCase();
+  const matchesName = (s) => !!name && String(s).toLowerCase().includes(name);
+
+  if (Array.isArray(v?.capabilityIds)) return v.capabilityIds.includes(id);
+  if (Array.isArray(v?.capabilities)) {
+    return v.capabilities.some(c => {
+      if (typeof c === "number") return c === id;
+      if (typeof c === "string") return c === String(id) || matchesName(c);
+      if (c && typeof c === "object") return c.id === id || (c.name && matchesName(c.name));
+      return false;
+    });
+  }
+  if (typeof v?.capability === "number") return v.capability === id;
+  if (typeof v?.capability === "string") return matchesName(v.capability) || v.capability === String(id);
+  return false;
+}
@@ -0,0 +1,115 @@
+// status.js — status code → short text + colour class, shared by the board and the map.
+// Classic script (no modules). Meanings come from the server's catalogue
+// (/api/status-codes, status-codes.json): call loadStatusCatalogue() before rendering.
+
+const STATUS_CODES_URL = "api/status-codes";
+
+let statusCatalogue = { codes: {}, busyFallback: null, offlineLabels: [], unknown: [] };
+// Codes we were asked to render that the catalogue does not know
+const unknownStatusCodesSeen = new Set();
+
+async function loadStatusCatalogue() {
+  try {
+    const res = await fetch(STATUS_CODES_URL, { cache: "no-cache" });
+    if (!res.ok) return statusCatalogue;
+    statusCatalogue = await res.json();
+    injectStatusColours();
+  } catch {
+    // keep the hackney.css colours
+  }
+  return statusCatalogue;
+}
+
+// Catalogue colours win over the defaults in hackney.css
+function injectStatusColours() {
+  const entries = Object.values(statusCatalogue.codes || {});
+  if (statusCatalogue.busyFallback) entries.push(statusCatalogue.busyFallback);
+
+  let el = document.getElementById("status-catalogue-colours");
+  if (!el) {
+    el = document.createElement("style");
+    el.id = "status-catalogue-colours";
+    document.head.appendChild(el);
+  }
+  el.textContent = entries
+    .filter(e => e.cls && e.colour)
+    .map(e => `.status-text--${e.cls} { color: ${e.colour}; }`)
+    .join("\n");
+}
+
+function statusInfoForCode(code) {
+  if (!code) return null;
+  const entry = statusCatalogue.codes?.[code];
+  if (entry) return entry;
+  if (code.toLowerCase().startsWith("busy")) return statusCatalogue.busyFallback;
+  return null;
+}
+
+// Match a label-only record (e.g. from ShiftChange) against the catalogue
+function statusInfoForLabel(label) {
+  const lower = (label || "").toString().trim().toLowerCase();
+  if (!lower) return null;
+  if ((statusCatalogue.offlineLabels || []).some(l => lower.includes(l)) || lower === "offline") {
+    return statusCatalogue.codes?.NotWorking || { short: "OFFLINE", cls: "notworking", working: false };
+  }
+  for (const entry of Object.values(statusCatalogue.codes || {})) {
+    if (entry.short?.toLowerCase() === lower || entry.label?.toLowerCase() === lower) return entry;
+  }
+  if (lower.startsWith("busy")) return statusCatalogue.busyFallback;
+  return null;
+}
+
+// true / false from the catalogue, or null when it has no opinion
+function isWorkingStatus(rawCode, rawLabel) {
+  const code = (rawCode || "").toString().trim();
+  const info = statusInfoForCode(code) || (code ? null : statusInfoForLabel(rawLabel));
+  return typeof info?.working === "boolean" ? info.working : null;
+}
+
+// Short, descriptive status labels (with suspension override)
+function mapDriverStatus(rawCode, rawLabel, vehicle) {
+  if (vehicle?.isSuspended === true) {
+    return { text: "SUSPENDED", cls: "status-text--suspended" };
+  }
+
+  const code = (rawCode || "").toString().trim();
+  const label = (rawLabel || "").toString().trim();
+
+  const info = code ? statusInfoForCode(code) : statusInfoForLabel(label);
+  if (info) {
+    const unknown = !!code && !statusCatalogue.codes?.[code];
+    if (unknown) unknownStatusCodesSeen.add(code);
+    return { text: info.short, cls: "status-text--" + info.cls, unknown, code };
+  }
+
+  if (!code && !label) {
+    return { text: "OFFLINE", cls: "status-text--notworking" };
+  }
+
+  // A code the catalogue does not know: flag it instead of quietly greying it out.
+  // text and code are then the raw webhook value, so callers must escape them.
+  if (code) {
+    unknownStatusCodesSeen.add(code);
+    return { text: code.toUpperCase(), cls: "status-text--unknown status-text--unknown-code", unknown: true, code };
+  }
+
+  return { text: label.toUpperCase(), cls: "status-text--unknown" };
+}
+
+// Dispatcher override from statusPayload.override; null when it doesn't change the status text
+function mapOverrideStatus(override) {
+  if (override?.kind === "offline") return { text: "OFFLINE (MANUAL)", cls: "status-text--override-offline" };
+  if (override?.kind === "break")   return { text: "ON BREAK", cls: "status-text--override-break" };
+  if (override?.kind === "held")    return { text: "HELD", cls: "status-text--override-held" };
+  return null;
+}
+
+// "", "warn" or "alert" for time spent in a code, from the catalogue's waitMinutes
+function waitLevel(rawCode, sinceIso) {
+  const limits = statusInfoForCode((rawCode || "").toString().trim())?.waitMinutes;
+  const mins = (Date.now() - Date.parse(sinceIso)) / 60000;
+  if (!limits || !Number.isFinite(mins)) return "";
+  if (limits.alert != null && mins >= limits.alert) return "alert";
+  if (limits.warn != null && mins >= limits.warn) return "warn";
+  return "";
+}
@@ -0,0 +1,101 @@
+// sw.js — service worker: offline board and Web Push for watched callsigns.
+//
+// The page shell and the board's API reads are fetched network first; each
+// good response is kept in the cache stamped with x-sw-cached-at. With no
+// network the cached copy is served with that header still on it, which is
+// how the board knows to mark itself stale. The live stream, the per-user
+// watchlist and anything that is not a GET always go to the network, and
+// signing out (auth/logout) empties the cache so the next user of the browser
+// does not get the board offline.
+//
+// Paths are relative to the registration scope, so a tenant's board
+// (/t/<tenant>/) gets its own worker and cache.
+
+const CACHE = "board-v2"; // v1 also kept api/watchlist
+const SHELL = ["", "index.html", "hackney.css", "status.js", "branding.js", "manifest.webmanifest", "icon.svg"];
+const API = ["api/vehicles", "api/status", "api/status-codes", "api/config", "api/ranks"];
+
+const scopePath = () => new URL(self.registration.scope).pathname;
+// Cache key for a scope-relative path ("" is the board itself)
+const keyFor = (rel) => scopePath() + rel;
+
+self.addEventListener("install", (event) => {
+  // One by one: a page behind a login redirect must not fail the whole install
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    await Promise.all(SHELL.map(async (rel) => {
+      try {
+        const res = await fetch(keyFor(rel), { cache: "no-cache" });
+        if (res.ok && !res.redirected) await cache.put(keyFor(rel), await stamped(res));
+      } catch {}
+    }));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()) if (key !== CACHE) await caches.delete(key);
+    await self.clients.claim();
+  })());
+});
+
+async function stamped(res) {
+  const headers = new Headers(res.headers);
+  headers.set("x-sw-cached-at", new Date().toISOString());
+  return new Response(await res.blob(), { status: res.status, statusText: res.statusText, headers });
+}
+
+async function networkFirst(request, key) {
+  const cache = await caches.open(CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok && !res.redirected) await cache.put(key, await stamped(res.clone()));
+    return res;
+  } catch (e) {
+    const cached = await cache.match(key);
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.origin !== location.origin || !url.pathname.startsWith(scopePath())) return;
+
+  const rel = url.pathname.slice(scopePath().length);
+  if (request.method === "POST" && rel === "auth/logout") {
+    event.waitUntil(caches.delete(CACHE));
+    return;
+  }
+  if (request.method !== "GET") return;
+  if (API.includes(rel) || SHELL.includes(rel)) {
+    // Query strings (e.g. ?kiosk=1) share the cached copy of their page
+    event.respondWith(networkFirst(request, keyFor(rel)));
+  }
+});
+
+// ---- Web Push: payload is { callsign, title, body, url } from the server ----
+self.addEventListener("push", (event) => {
+  let msg = {};
+  try { msg = event.data?.json() || {}; } catch {}
+  event.waitUntil(self.registration.showNotification(msg.title || "Status change", {
+    body: msg.body || "",
+    tag: "cs-" + (msg.callsign || ""),
+    renotify: true,
+    icon: "icon.svg",
+    data: { url: msg.url || scopePath() },
+  }));
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || scopePath();
+  event.waitUntil((async () => {
+    for (const client of await self.clients.matchAll({ type: "window" })) {
+      if (new URL(client.url).pathname.startsWith(scopePath()) && "focus" in client) return client.focus();
+    }
+    return self.clients.openWindow(url);
+  })());
+});
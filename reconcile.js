@@ -0,0 +1,151 @@
+// reconcile.js — compare Autocab's current view of the fleet with our records
+//
+// Webhooks can be lost (a ShiftChange "ended" that never arrives) or missed
+// while we are down (a shift start). The reconciler pulls two lists from the
+// Autocab API with the same key as /api/vehicles:
+//
+//   tracks  current vehicle status per callsign, items shaped like the Status
+//           webhook's VehicleTracks (AUTOCAB_TRACKS_PATH)
+//   shifts  drivers on shift now, items shaped like ShiftChange
+//           (AUTOCAB_SHIFTS_PATH); being listed means on shift
+//
+// planCorrections() turns disagreements into ordinary merge.js events, so a
+// correction obeys the same watermarks as a webhook and a newer webhook
+// always wins. Either list may be unavailable; the other is still used.
+//
+// Corrections (reason):
+//   status-mismatch     track's status differs and is newer than our status watermark
+//   missed-shift-start  on the shift list but we have the callsign off shift
+//   missed-shift-end    a ShiftChange put the callsign on shift but it is not on the list
+//
+// No correction is stamped later than what it knows, so a real webhook still
+// in flight is never dropped as older: a shift start carries the list item's
+// own timestamp (or none, and so moves no watermark), a shift end the last
+// time we heard from the callsign. Callsigns with a ShiftChange newer than the
+// start of the fetch are left alone; the list may predate it.
+import fetch from "node-fetch";
+import { validateWebhook } from "./schemas.js";
+
+const normKey = (s) => String(s || "").trim().toUpperCase();
+
+export function createReconciler({ baseUrl, key, tracksPath, shiftsPath, timeoutMs = 15000, onRequest = () => {} }) {
+  async function getList(endpoint, urlPath) {
+    if (!urlPath) return { ok: false, error: "not configured" };
+    const started = Date.now();
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+    try {
+      const r = await fetch(`${baseUrl}${urlPath}`, {
+        headers: { "Ocp-Apim-Subscription-Key": key, "Cache-Control": "no-cache" },
+        signal: ctrl.signal,
+      });
+      if (!r.ok) {
+        onRequest(endpoint, "http-error", Date.now() - started);
+        return { ok: false, error: `HTTP ${r.status}` };
+      }
+      const body = await r.json();
+      onRequest(endpoint, "ok", Date.now() - started);
+      return { ok: true, body };
+    } catch (e) {
+      onRequest(endpoint, "network-error", Date.now() - started);
+      return { ok: false, error: e.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * -> { fetchedAt, tracks: [{ callsign, code, ts, tsDefaulted }] | null,
+   *      shifts: Map<callsign, { ts, tsDefaulted }> | null, errors: { tracks?, shifts? } }
+   * A list is null when it could not be fetched. fetchedAt is when the fetch started.
+   */
+  async function fetchSnapshot() {
+    const fetchedAt = new Date().toISOString();
+    const [tracksRes, shiftsRes] = await Promise.all([getList("tracks", tracksPath), getList("shifts", shiftsPath)]);
+    const errors = {};
+
+    let tracks = null;
+    if (tracksRes.ok) {
+      tracks = validateWebhook("Status", tracksRes.body, { now: fetchedAt })
+        .filter(v => v.ok)
+        .map(v => ({
+          callsign: normKey(v.callsign),
+          code: v.item.VehicleStatus || v.item.vehicleStatus || null,
+          ts: v.timestamp,
+          tsDefaulted: v.timestampDefaulted,
+        }))
+        .filter(t => t.code);
+    } else {
+      errors.tracks = tracksRes.error;
+    }
+
+    let shifts = null;
+    if (shiftsRes.ok) {
+      shifts = new Map(validateWebhook("ShiftChange", shiftsRes.body, { now: fetchedAt })
+        .filter(v => v.ok)
+        .map(v => [normKey(v.callsign), { ts: v.timestamp, tsDefaulted: v.timestampDefaulted }]));
+    } else {
+      errors.shifts = shiftsRes.error;
+    }
+
+    return { fetchedAt, tracks, shifts, errors };
+  }
+
+  return { fetchSnapshot };
+}
+
+const ms = (iso) => {
+  const t = Date.parse(iso);
+  return Number.isFinite(t) ? t : null;
+};
+
+/**
+ * records: Map callsign -> record; snapshot from fetchSnapshot().
+ * labelFor(code) gives the display label for a status code.
+ * -> [{ callsign, reason, detail, event }], status corrections before shift
+ * corrections so a shift end observed now is not re-opened by an older track.
+ */
+export function planCorrections(records, snapshot, { labelFor = (code) => code } = {}) {
+  const out = [];
+  const fetchStartMs = ms(snapshot.fetchedAt);
+  // A ShiftChange arrived while the lists were being fetched
+  const shiftChangedSince = (rec) => fetchStartMs !== null && (ms(rec?.watermarks?.shift) ?? -Infinity) > fetchStartMs;
+
+  for (const t of snapshot.tracks || []) {
+    const rec = records.get(t.callsign);
+    if (rec?.driverStatusCode === t.code) continue;
+    const mark = ms(rec?.watermarks?.status ?? rec?.updatedAt);
+    if (mark !== null && ms(t.ts) <= mark) continue;
+    out.push({
+      callsign: t.callsign,
+      reason: "status-mismatch",
+      detail: `${rec?.driverStatusCode ?? "none"} -> ${t.code}`,
+      event: { source: "status", ts: t.ts, tsDefaulted: t.tsDefaulted, code: t.code, label: labelFor(t.code) },
+    });
+  }
+
+  if (snapshot.shifts) {
+    for (const [cs, item] of snapshot.shifts) {
+      const rec = records.get(cs);
+      if (rec?.explicitOnline === true || shiftChangedSince(rec)) continue;
+      out.push({
+        callsign: cs,
+        reason: "missed-shift-start",
+        detail: `explicitOnline ${rec?.explicitOnline ?? "none"} -> true`,
+        event: { source: "shift", ts: item.ts, tsDefaulted: item.tsDefaulted, shiftOn: true, shiftLabel: "On Shift" },
+      });
+    }
+    for (const [cs, rec] of records) {
+      // Only shifts a ShiftChange opened: pings and Status tracks alone are not ours to end
+      if (rec?.shiftOn !== true || rec.explicitOnline !== true || snapshot.shifts.has(cs) || shiftChangedSince(rec)) continue;
+      out.push({
+        callsign: cs,
+        reason: "missed-shift-end",
+        detail: "explicitOnline true -> false",
+        event: { source: "shift", ts: rec.updatedAt || snapshot.fetchedAt, shiftOn: false, shiftLabel: "Off Shift" },
+      });
+    }
+  }
+
+  return out;
+}
@@ -0,0 +1,240 @@
+// replay.js — feed captured webhooks (see CAPTURE_DIR in server.js) back through the server
+//
+//   node replay.js <capture.ndjson | capture dir>... [options]
+//
+//   --speed N        replay at N× the captured pace (default: as fast as possible)
+//   --route NAME     only HackneyLocation, Status or ShiftChange (repeatable)
+//   --callsign CS    only calls whose body mentions this callsign (repeatable)
+//   --from ISO       only calls received at/after this time
+//   --to ISO         only calls received at/before this time
+//   --target URL     replay into a running server instead of a fresh one
+//   --token T        x-webhook-token to send with --target
+//   --out FILE       write the final /api/status snapshot to FILE
+//   --include-rejected  also replay calls the live server refused (401)
+//   --keep           leave the fresh server running for inspection (Ctrl-C to stop)
+//   --port P         port for the fresh server (default 4790)
+//
+// Without --target a fresh server.js is started with an empty json store in a
+// temp dir and webhook/dashboard auth switched off, so the run is isolated from
+// live data. Handlers that fall back to "now" for a missing Timestamp will use
+// the replay time, not the original receipt time.
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import fetch from "node-fetch";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function parseArgs(argv) {
+  const opts = { inputs: [], routes: [], callsigns: [], speed: null, port: 4790 };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const val = () => {
+      if (i + 1 >= argv.length) fail(`${a} needs a value`);
+      return argv[++i];
+    };
+    if (a === "--speed") opts.speed = Number(val());
+    else if (a === "--route") opts.routes.push(val());
+    else if (a === "--callsign") opts.callsigns.push(val().toUpperCase());
+    else if (a === "--from") opts.from = Date.parse(val());
+    else if (a === "--to") opts.to = Date.parse(val());
+    else if (a === "--target") opts.target = val().replace(/\/+$/, "");
+    else if (a === "--token") opts.token = val();
+    else if (a === "--out") opts.out = val();
+    else if (a === "--keep") opts.keep = true;
+    else if (a === "--include-rejected") opts.includeRejected = true;
+    else if (a === "--port") opts.port = Number(val());
+    else if (a.startsWith("--")) fail(`Unknown option ${a}`);
+    else opts.inputs.push(a);
+  }
+  if (!opts.inputs.length) fail("Usage: node replay.js <capture.ndjson | dir>... [--speed N] [--target URL] [--keep]");
+  if (opts.speed !== null && !(opts.speed > 0)) fail("--speed must be > 0");
+  return opts;
+}
+
+function fail(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function captureFiles(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    if (fs.statSync(input).isDirectory()) {
+      for (const f of fs.readdirSync(input).filter(f => /^capture-.*\.ndjson$/.test(f)).sort()) {
+        files.push(path.join(input, f));
+      }
+    } else {
+      files.push(input);
+    }
+  }
+  return files;
+}
+
+function loadEntries(opts) {
+  const entries = [];
+  for (const file of captureFiles(opts.inputs)) {
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+      if (!line) continue;
+      let e;
+      try { e = JSON.parse(line); } catch { continue; }
+
+      const t = Date.parse(e.receivedAt);
+      if (!Number.isFinite(t)) continue;
+      if (opts.routes.length && !opts.routes.includes(e.route)) continue;
+      if (!opts.includeRejected && e.outcome?.status === 401) continue;
+      if (Number.isFinite(opts.from) && t < opts.from) continue;
+      if (Number.isFinite(opts.to) && t > opts.to) continue;
+      if (opts.callsigns.length) {
+        const upper = String(e.body || "").toUpperCase();
+        if (!opts.callsigns.some(cs => upper.includes(`"${cs}"`))) continue;
+      }
+      entries.push({ ...e, t });
+    }
+  }
+  return entries.sort((a, b) => a.t - b.t);
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Environment for the fresh server: every file or directory it writes lives
+ * in dir, and nothing reaches live systems (Autocab, Redis, Web Push). Read-only
+ * inputs (RANKS_FILE, KIOSK_FILE, STATUS_CODES_FILE, MAP_TILES_DIR) are kept,
+ * since they shape the replay's results.
+ */
+export function replayServerEnv(dir, port, base = process.env) {
+  // Empty strings win over .env (dotenv never overrides existing keys)
+  const env = {
+    ...base,
+    NODE_ENV: "development",
+    PORT: String(port),
+    STORE_BACKEND: "json",
+    STATUS_FILE: path.join(dir, "status.json"),
+    SQLITE_FILE: path.join(dir, "status.db"),
+    HISTORY_DIR: path.join(dir, "history"),
+    AUDIT_FILE: path.join(dir, "audit.ndjson"),
+    ARCHIVE_DIR: path.join(dir, "archive"),
+    STATS_FILE: path.join(dir, "stats.db"),
+    USERS_FILE: path.join(dir, "users.json"),
+    ALERTS_FILE: path.join(dir, "alerts.json"),
+    // No Web Push to real devices from replayed status changes
+    WATCHLISTS_FILE: path.join(dir, "watchlists.json"),
+    VAPID_PUBLIC_KEY: "",
+    VAPID_PRIVATE_KEY: "",
+    // Never join the live cluster's shared records or leader lease
+    SHARED_STATE: "memory",
+    REDIS_URL: "",
+    CAPTURE_DIR: "",
+    AUTOCAB_KEY: "",
+    WEBHOOK_TOKEN: "",
+  };
+  for (const k of Object.keys(env)) {
+    if (k.startsWith("WEBHOOK_SECRET")) env[k] = "";
+  }
+  return env;
+}
+
+async function startFreshServer(port) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hackney-replay-"));
+  const log = fs.openSync(path.join(dir, "server.log"), "a");
+  const env = replayServerEnv(dir, port);
+
+  const child = spawn(process.execPath, [path.join(__dirname, "server.js")], {
+    cwd: __dirname,
+    env,
+    stdio: ["ignore", log, log],
+  });
+
+  const base = `http://localhost:${port}`;
+  for (let i = 0; i < 50; i++) {
+    if (child.exitCode !== null) fail(`server exited early, see ${path.join(dir, "server.log")}`);
+    try {
+      const r = await fetch(`${base}/healthz`);
+      if (r.ok) return { base, child, dir };
+    } catch {}
+    await sleep(200);
+  }
+  child.kill();
+  fail(`server did not start, see ${path.join(dir, "server.log")}`);
+}
+
+// Only the skipped counters the capture has, so captures from before a
+// counter was added still compare cleanly
+function sameOutcome(a, b) {
+  if (!a || !b) return true;
+  return a.status === b.status &&
+    a.updates === b.updates &&
+    Object.entries(a.skipped || {}).every(([k, n]) => (b.skipped?.[k] ?? 0) === n);
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const entries = loadEntries(opts);
+  if (!entries.length) fail("No captured webhooks match");
+
+  let server = null;
+  let base = opts.target;
+  if (!base) {
+    server = await startFreshServer(opts.port);
+    base = server.base;
+    console.log(`Fresh server on ${base} (state in ${server.dir})`);
+  }
+
+  console.log(`Replaying ${entries.length} webhook call(s)${opts.speed ? ` at ${opts.speed}x` : ""}`);
+  const started = Date.now();
+  const firstT = entries[0].t;
+  let mismatches = 0;
+
+  for (const e of entries) {
+    if (opts.speed) {
+      const due = started + (e.t - firstT) / opts.speed;
+      const wait = due - Date.now();
+      if (wait > 0) await sleep(wait);
+    }
+
+    const headers = { "Content-Type": e.headers?.["content-type"] || "application/json" };
+    if (opts.token) headers["x-webhook-token"] = opts.token;
+
+    let result;
+    try {
+      const r = await fetch(`${base}/webhook/${e.route}`, { method: "POST", headers, body: e.body ?? "" });
+      result = { status: r.status, ...(await r.json().catch(() => ({}))) };
+    } catch (err) {
+      result = { status: 0, error: err.message };
+    }
+
+    const match = sameOutcome(e.outcome, result);
+    if (!match) mismatches++;
+    console.log(
+      `${e.receivedAt} ${e.route.padEnd(15)} captured=${JSON.stringify(e.outcome || {})} replay=${JSON.stringify({ status: result.status, updates: result.updates, skipped: result.skipped })}${match ? "" : "  <-- differs"}`
+    );
+  }
+
+  const snapshot = await (await fetch(`${base}/api/status`)).json();
+  console.log(`\nDone: ${entries.length} call(s), ${mismatches} outcome difference(s), ${snapshot.count} callsign(s) in final state`);
+  if (opts.out) {
+    fs.writeFileSync(opts.out, JSON.stringify(snapshot, null, 2), "utf8");
+    console.log(`Final /api/status written to ${opts.out}`);
+  }
+
+  if (server && opts.keep) {
+    console.log(`Server left running on ${base} — Ctrl-C to stop`);
+    process.on("SIGINT", () => { server.child.kill(); process.exit(0); });
+    return;
+  }
+  if (server) {
+    server.child.kill();
+    await new Promise(r => server.child.once("exit", r));
+    fs.rmSync(server.dir, { recursive: true, force: true });
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
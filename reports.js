@@ -0,0 +1,152 @@
+// reports.js — shifts and working hours per callsign, from the history journal
+//
+// A shift is a run of journal entries with online: true, so it follows
+// computeOnline exactly: it starts at the first online entry and ends at the
+// first offline one. Time between two entries counts towards the report
+// category of the earlier entry's status code (the catalogue's "report":
+// clear, dispatched, busy, offered; anything else is "other").
+//
+// How a shift ended (endedBy) is the source of the entry that closed it:
+//   ShiftChange   normal logoff
+//   timeout       pings stopped (no end event); ends at the last ping
+//   reconcile     end event missed, corrected by the reconciler
+//   override      dispatcher set the callsign offline
+//   open          no end in the journal yet
+// Anything but ShiftChange is flagged so hours can be checked by hand, except
+// an open shift whose callsign is online right now (inProgress).
+//
+// Everything is clipped to [fromMs, toMs]; a shift that crosses either edge
+// is reported with clipped: true and only its time inside the range.
+
+export const REPORT_CATEGORIES = ["clear", "dispatched", "busy", "offered", "other"];
+
+const FLAGS = {
+  timeout: "Ended by ping timeout, no shift end received",
+  reconcile: "Shift end missed, closed by reconciliation",
+  override: "Set offline by a dispatcher",
+  open: "No shift end yet",
+};
+
+const emptySplit = () => Object.fromEntries(REPORT_CATEGORIES.map(c => [c, 0]));
+const minutes = (ms) => Math.round(ms / 6000) / 10;
+
+/**
+ * entries: journal entries ({ ts, callsign, source, code, online }) for every
+ * callsign, any order, including ones after toMs so a shift that ends after
+ * the range is not mistaken for an open one. categoryFor(code) -> report category.
+ * isOnlineNow(callsign) marks open shifts that are genuinely still running.
+ * -> { from, to, callsigns: [{ callsign, shiftCount, onShiftMinutes, minutes, flagged, shifts }] }
+ */
+export function buildShiftReport(entries, { fromMs, toMs, nowMs = Date.now(), categoryFor = () => "other", isOnlineNow = () => false }) {
+  const byCallsign = new Map();
+  for (const e of entries) {
+    const t = Date.parse(e.ts);
+    if (!Number.isFinite(t)) continue;
+    if (!byCallsign.has(e.callsign)) byCallsign.set(e.callsign, []);
+    byCallsign.get(e.callsign).push({ ...e, t });
+  }
+
+  const callsigns = [];
+  for (const [callsign, list] of byCallsign) {
+    list.sort((a, b) => a.t - b.t);
+    const shifts = shiftsFor(list, { fromMs, toMs, nowMs, categoryFor })
+      .map(s => finishShift(s, s.endedBy === "open" && isOnlineNow(callsign)));
+    if (!shifts.length) continue;
+
+    const split = emptySplit();
+    for (const s of shifts) for (const c of REPORT_CATEGORIES) split[c] += s.minutes[c];
+    for (const c of REPORT_CATEGORIES) split[c] = Math.round(split[c] * 10) / 10;
+    callsigns.push({
+      callsign,
+      shiftCount: shifts.length,
+      onShiftMinutes: Math.round(shifts.reduce((n, s) => n + s.onShiftMinutes, 0) * 10) / 10,
+      minutes: split,
+      flagged: shifts.filter(s => s.flag).length,
+      shifts,
+    });
+  }
+
+  callsigns.sort((a, b) => a.callsign.localeCompare(b.callsign, undefined, { numeric: true }));
+  return { from: new Date(fromMs).toISOString(), to: new Date(toMs).toISOString(), callsigns };
+}
+
+function shiftsFor(list, { fromMs, toMs, nowMs, categoryFor }) {
+  const out = [];
+  let shift = null;
+  let lastT = 0;
+  let category = "other";
+
+  // Only the part of [a, b] inside the report range counts
+  const add = (a, b) => {
+    const ms = Math.min(b, toMs) - Math.max(a, fromMs);
+    if (ms > 0) shift.ms[category] += ms;
+  };
+
+  for (const e of list) {
+    if (shift) add(lastT, e.t);
+    if (e.online && !shift) {
+      shift = { startMs: e.t, ms: emptySplit() };
+    } else if (!e.online && shift) {
+      shift.endMs = e.t;
+      shift.endedBy = e.source;
+      out.push(shift);
+      shift = null;
+    }
+    lastT = e.t;
+    category = categoryFor(e.code) || "other";
+  }
+  if (shift) {
+    if (nowMs > lastT) add(lastT, nowMs);
+    shift.endMs = null;
+    shift.endedBy = "open";
+    out.push(shift);
+  }
+
+  // Shifts that overlap the range
+  return out
+    .filter(s => s.startMs <= toMs && (s.endMs ?? nowMs) >= fromMs)
+    .map(s => ({ ...s, clipped: s.startMs < fromMs || (s.endMs ?? nowMs) > toMs }));
+}
+
+function finishShift(s, inProgress) {
+  const mins = {};
+  for (const c of REPORT_CATEGORIES) mins[c] = minutes(s.ms[c]);
+  const flag = s.endedBy === "ShiftChange" || inProgress ? null : (FLAGS[s.endedBy] ? s.endedBy : "other");
+  return {
+    start: new Date(s.startMs).toISOString(),
+    end: s.endMs === null ? null : new Date(s.endMs).toISOString(),
+    endedBy: s.endedBy,
+    inProgress,
+    clipped: s.clipped,
+    onShiftMinutes: minutes(REPORT_CATEGORIES.reduce((n, c) => n + s.ms[c], 0)),
+    minutes: mins,
+    flag,
+    flagReason: flag ? FLAGS[flag] || `Ended by ${s.endedBy}` : null,
+  };
+}
+
+const csvCell = (v) => {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+const csvLine = (cells) => cells.map(csvCell).join(",");
+
+// view: "summary" (one row per callsign) or "shifts" (one row per shift)
+export function shiftReportCsv(report, view = "summary") {
+  const cats = REPORT_CATEGORIES.map(c => `${c}_minutes`);
+  const lines = [];
+  if (view === "shifts") {
+    lines.push(csvLine(["callsign", "start", "end", "ended_by", "on_shift_minutes", ...cats, "flag"]));
+    for (const cs of report.callsigns) {
+      for (const s of cs.shifts) {
+        lines.push(csvLine([cs.callsign, s.start, s.end, s.endedBy, s.onShiftMinutes, ...REPORT_CATEGORIES.map(c => s.minutes[c]), s.flag]));
+      }
+    }
+  } else {
+    lines.push(csvLine(["callsign", "shifts", "on_shift_minutes", ...cats, "flagged_shifts"]));
+    for (const cs of report.callsigns) {
+      lines.push(csvLine([cs.callsign, cs.shiftCount, cs.onShiftMinutes, ...REPORT_CATEGORIES.map(c => cs.minutes[c]), cs.flagged]));
+    }
+  }
+  return lines.join("\r\n") + "\r\n";
+}
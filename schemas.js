@@ -0,0 +1,127 @@
+// schemas.js — the webhook payload formats we accept, and item validation
+//
+// Each route's schema says where the list of items can be (envelope), where
+// an item's callsign and timestamp can be, and whether a missing timestamp
+// falls back to receipt time. validateWebhook() splits a body into items and
+// gives each one either { ok: true, callsign, timestamp } or { ok: false,
+// reason, detail }, so nothing is skipped without saying why.
+//
+// Rejection reasons:
+//   not-an-object       item is not a JSON object
+//   unrecognised-shape  body is one object with no known list key and no callsign
+//   no-callsign         item has none of the callsign fields
+//   bad-timestamp       timestamp present but not a parseable date
+//   missing-timestamp   route requires a timestamp and the item has none
+
+// Generic callsign locations, in the order extractCallsignGeneric tries them
+const GENERIC_CALLSIGN = [
+  "callsign", "callSign", "code", "mdtId", "mdtID", "vehicleCode", "driverCode",
+  "Driver.Callsign", "Driver.callsign", "Driver.callSign",
+  "driver.Callsign", "driver.callsign", "driver.callSign",
+  "Vehicle.Callsign", "Vehicle.callsign", "Vehicle.callSign",
+  "vehicle.Callsign", "vehicle.callsign", "vehicle.callSign",
+];
+
+const LIST_KEYS = ["VehicleTracks", "data", "items", "Shifts", "Events"];
+
+export const WEBHOOK_SCHEMAS = {
+  HackneyLocation: {
+    description: "Location ping; keeps the vehicle online unless it is explicitly off shift",
+    envelope: { array: true, listKeys: LIST_KEYS, single: true },
+    callsign: GENERIC_CALLSIGN,
+    timestamp: { paths: ["Timestamp", "timestamp", "time"], required: false },
+    optional: {
+      position: "Location|Position|Coordinates (or the item) with Latitude/Lat and Longitude/Lng/Lon",
+      speed: "Speed",
+      heading: "Heading|Bearing",
+    },
+  },
+  Status: {
+    description: "VehicleTracksChanged; VehicleStatus is looked up in status-codes.json",
+    envelope: { array: true, listKeys: LIST_KEYS, single: true },
+    callsign: ["Vehicle.Callsign", "Driver.Callsign", ...GENERIC_CALLSIGN],
+    timestamp: { paths: ["Timestamp", "timestamp", "time"], required: false },
+    optional: { status: "VehicleStatus|vehicleStatus" },
+  },
+  ShiftChange: {
+    description: "Driver logon/logoff/break",
+    envelope: { array: true, listKeys: LIST_KEYS, single: true },
+    callsign: ["Vehicle.Callsign", "Driver.Callsign", ...GENERIC_CALLSIGN],
+    timestamp: { paths: ["Timestamp", "timestamp", "ModifiedDate", "EventTime"], required: false },
+    optional: {
+      status: "ShiftStatus|Status|DriverStatus (any case)",
+      event: "EventType|Event, SubEventType",
+      onShift: "IsOnShift|OnShift (boolean)",
+    },
+  },
+};
+
+function get(obj, path) {
+  let cur = obj;
+  for (const part of path.split(".")) {
+    if (cur === null || typeof cur !== "object") return undefined;
+    cur = cur[part];
+  }
+  return cur;
+}
+
+function firstPresent(obj, paths) {
+  for (const p of paths) {
+    const v = get(obj, p);
+    if (v !== undefined && v !== null && v !== "") return { path: p, value: v };
+  }
+  return null;
+}
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+// -> { items: [...], single: bool }; single means the body itself was taken as the item
+function unwrap(schema, body) {
+  if (schema.envelope.array && Array.isArray(body)) return { items: body, single: false };
+  if (isObject(body)) {
+    for (const k of schema.envelope.listKeys) {
+      if (Array.isArray(body[k])) return { items: body[k], single: false };
+    }
+  }
+  return { items: [body], single: true };
+}
+
+/**
+ * now: receipt time for items without a timestamp; schemas: WEBHOOK_SCHEMAS
+ * unless a caller (tests) passes its own.
+ * -> [{ index, item, ok, callsign, timestamp, timestampDefaulted } |
+ *     { index, item, ok: false, reason, detail, callsign? }]
+ */
+export function validateWebhook(route, body, { now = new Date().toISOString(), schemas = WEBHOOK_SCHEMAS } = {}) {
+  const schema = schemas[route];
+  if (!schema) throw new Error(`No schema for webhook route ${route}`);
+
+  const { items, single } = unwrap(schema, body ?? {});
+  return items.map((item, index) => {
+    if (!isObject(item)) {
+      return { index, item, ok: false, reason: "not-an-object", detail: Array.isArray(item) ? "array" : typeof item };
+    }
+
+    const cs = firstPresent(item, schema.callsign);
+    if (!cs) {
+      if (single) {
+        const keys = Object.keys(item).slice(0, 10).join(", ") || "(empty)";
+        return { index, item, ok: false, reason: "unrecognised-shape", detail: `top-level keys: ${keys}` };
+      }
+      return { index, item, ok: false, reason: "no-callsign", detail: `looked in ${schema.callsign.slice(0, 3).join(", ")}, …` };
+    }
+    const callsign = String(cs.value);
+
+    const ts = firstPresent(item, schema.timestamp.paths);
+    if (!ts) {
+      if (schema.timestamp.required) {
+        return { index, item, ok: false, reason: "missing-timestamp", detail: schema.timestamp.paths.join("|"), callsign };
+      }
+      return { index, item, ok: true, callsign, timestamp: now, timestampDefaulted: true };
+    }
+    if (!Number.isFinite(Date.parse(ts.value))) {
+      return { index, item, ok: false, reason: "bad-timestamp", detail: `${ts.path}=${JSON.stringify(ts.value).slice(0, 60)}`, callsign };
+    }
+    return { index, item, ok: true, callsign, timestamp: ts.value, timestampDefaulted: false };
+  });
+}
@@ -4,8 +4,24 @@ import cors from "cors";
 import fetch from "node-fetch";
 import dotenv from "dotenv";
 import fs from "fs";
+import crypto from "crypto";
 import path from "path";
+import readline from "readline";
 import { fileURLToPath } from "url";
+import { loadUsersFile, hashPassword, verifyPassword, hashApiKey, roleAtLeast } from "./auth.js";
+import { createStore } from "./store.js";
+import { loadAlertConfig, createAlertEngine } from "./alerts.js";
+import { createSharedState, defaultInstanceId, nextRevision, isNewerRevision } from "./shared.js";
+import { createRegistry, CONTENT_TYPE as METRICS_CONTENT_TYPE } from "./metrics.js";
+import { createSimulation, runSimulation, webhookHeaders } from "./simulator.js";
+import { WEBHOOK_SCHEMAS, validateWebhook } from "./schemas.js";
+import { createWebhookVerifier, webhookParseErrors } from "./webhookauth.js";
+import { mergeEvent } from "./merge.js";
+import { createTimeseries, defaultTiers, parseBucket } from "./timeseries.js";
+import { createReconciler, planCorrections } from "./reconcile.js";
+import { buildShiftReport, shiftReportCsv } from "./reports.js";
+import { createWatchlists } from "./watchlists.js";
+import { createEventLog } from "./sse.js";
 
 dotenv.config();
 
@@ -14,19 +30,277 @@ const __dirname  = path.dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT || 4000;
-
-const AUTOCAB_KEY    = process.env.AUTOCAB_KEY || "";
+const HOST = process.env.LISTEN_HOST || undefined;  // all interfaces unless set
+const SELF_URL = `http://${HOST || "localhost"}:${PORT}`;
+// Set when the app is served below a path prefix, e.g. /t/acme by tenants.js
+const BASE_PATH = (process.env.BASE_PATH || "").replace(/\/+$/, "");
+
+// SIMULATOR=1 swaps Autocab for the seeded fake fleet in simulator.js
+const SIMULATOR      = /^(1|true|yes)$/i.test(process.env.SIMULATOR || "");
+const AUTOCAB_KEY    = SIMULATOR ? "simulator" : (process.env.AUTOCAB_KEY || "");
+const AUTOCAB_BASE_URL = SIMULATOR
+  ? `${SELF_URL}/simulator`
+  : (process.env.AUTOCAB_BASE_URL || "https://autocab-api.azure-api.net").replace(/\/+$/, "");
 const WEBHOOK_TOKEN  = process.env.WEBHOOK_TOKEN || "";
-const STATUS_FILE    = process.env.STATUS_FILE || "./status.json";
+const IS_PRODUCTION  = process.env.NODE_ENV === "production";
+const USERS_FILE     = process.env.USERS_FILE || "./users.json";
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_HOURS || 12) * 60 * 60 * 1000;
+const STORE_BACKEND  = process.env.STORE_BACKEND || "sqlite";   // sqlite | json
+const STATUS_FILE    = process.env.STATUS_FILE || "./status.json";  // json backend; imported once by sqlite
+const SQLITE_FILE    = process.env.SQLITE_FILE || "./status.db";
+const SHARED_STATE   = process.env.SHARED_STATE || "memory";  // memory | redis
+const REDIS_URL      = process.env.REDIS_URL || "redis://localhost:6379";
+const INSTANCE_ID    = process.env.INSTANCE_ID || defaultInstanceId();
+const MAP_TILES_DIR  = process.env.MAP_TILES_DIR || "./tiles";
+const RANKS_FILE     = process.env.RANKS_FILE || "./ranks.json";
+const KIOSK_FILE     = process.env.KIOSK_FILE || "./kiosk.json";
+const ALERTS_FILE    = process.env.ALERTS_FILE || "./alerts.json";
+const STATUS_CODES_FILE = process.env.STATUS_CODES_FILE || path.join(__dirname, "status-codes.json");
+const CAPTURE_DIR    = process.env.CAPTURE_DIR || "";  // set to enable webhook capture
+const HISTORY_DIR    = process.env.HISTORY_DIR || "./history";
+const AUDIT_FILE     = process.env.AUDIT_FILE || "./audit.ndjson";  // dispatcher overrides
+const ARCHIVE_DIR    = process.env.ARCHIVE_DIR || "./archive";      // records removed by retention
+const STATS_FILE     = process.env.STATS_FILE || "./stats.db";         // utilisation time series
+const WATCHLISTS_FILE = process.env.WATCHLISTS_FILE || "./watchlists.json"; // starred callsigns + push subscriptions
+
+// Which Autocab vehicles the board lists, and how the fleet is branded
+const FLEET_CAPABILITY = Number(process.env.FLEET_CAPABILITY || 14);     // 14 = Hackney
+const FLEET_CAPABILITY_NAME = process.env.FLEET_CAPABILITY_NAME || "hackney";
+const BRAND_LETTER   = process.env.BRAND_LETTER || "N";
+const BRAND_TITLE    = process.env.BRAND_TITLE || "Station Rank";
+
+// Journal rotation: roll history.ndjson once it passes this size, keep N old files
+const HISTORY_MAX_BYTES = Number(process.env.HISTORY_MAX_BYTES || 5 * 1024 * 1024);
+const HISTORY_MAX_FILES = Number(process.env.HISTORY_MAX_FILES || 10);
+const CAPTURE_MAX_BYTES = Number(process.env.CAPTURE_MAX_BYTES || 20 * 1024 * 1024);
+const CAPTURE_MAX_FILES = Number(process.env.CAPTURE_MAX_FILES || 20);
+
+// Server-side Autocab vehicle list refresh, with exponential backoff on failure
+const VEHICLE_REFRESH_MS      = Number(process.env.VEHICLE_REFRESH_MS || 60000);
+const VEHICLE_BACKOFF_BASE_MS = Number(process.env.VEHICLE_BACKOFF_BASE_MS || 5000);
+const VEHICLE_BACKOFF_MAX_MS  = Number(process.env.VEHICLE_BACKOFF_MAX_MS || 10 * 60 * 1000);
 
 // HOW LONG a ping keeps a vehicle ONLINE (minutes) before timing out
 const PING_TIMEOUT_MINUTES = Number(process.env.PING_TIMEOUT_MINUTES || 10);
 const OFFLINE_TIMEOUT_MS   = PING_TIMEOUT_MINUTES * 60 * 1000;
+// A Status track this much newer than a shift end re-opens the shift (see merge.js)
+const SHIFT_END_GRACE_MS   = Number(process.env.SHIFT_END_GRACE_SECONDS || 60) * 1000;
 
-app.set("trust proxy", 1);
+app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS || 1));
 app.use(cors());
-app.use(express.json({ limit: "2mb" }));
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw bytes so webhook HMAC signatures can be checked against exactly what was sent
+const keepRawBody = (req, _res, buf) => { req.rawBody = buf; };
+app.use(express.json({ limit: "2mb", verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
+
+// ---------- Auth: sessions (browsers) + API keys (integrations) ----------
+/**
+ * Roles: viewer (board, /api/*, SSE) and admin (also /debug/* and management
+ * endpoints). Users and API keys live in USERS_FILE (see users.js). Without
+ * that file auth is off and everyone is admin; production refuses to start.
+ */
+const SESSION_COOKIE = "hs_session";
+// Wall screens sign in with a kiosk key (node users.js add-kiosk) instead of a
+// session: it is read-only and kept in its own cookie for as long as browsers
+// allow, so a kiosk survives restarts and SESSION_TTL_HOURS unattended.
+const KIOSK_COOKIE = "hs_kiosk";
+const KIOSK_COOKIE_MAX_AGE_SEC = 400 * 24 * 60 * 60;
+const LOGIN_MAX_FAILURES = 10;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+// Checked for unknown usernames, so they cost the same scrypt as a wrong password
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString("base64"));
+
+let authStore = null;  // { users, apiKeys } or null when auth is off
+let authStoreMtime = 0;
+
+function currentAuthStore() {
+  // Re-read when users.js has changed the file, so no restart is needed
+  try {
+    const mtime = fs.statSync(USERS_FILE).mtimeMs;
+    if (mtime !== authStoreMtime) {
+      authStore = loadUsersFile(USERS_FILE);
+      authStoreMtime = mtime;
+    }
+  } catch {
+    authStore = null;
+    authStoreMtime = 0;
+  }
+  return authStore;
+}
+
+if (SIMULATOR && IS_PRODUCTION) {
+  console.error("Refusing to start: SIMULATOR is not allowed with NODE_ENV=production");
+  process.exit(1);
+}
+
+if (!currentAuthStore()) {
+  if (IS_PRODUCTION) {
+    console.error(`Refusing to start: no ${USERS_FILE} (create users with: node users.js add-user <name> admin <password>)`);
+    process.exit(1);
+  }
+  console.warn(`WARNING: no ${USERS_FILE}, dashboard/API auth is disabled`);
+}
+
+const sessions = new Map(); // id -> { username, role, expiresAt }
+const loginFailures = new Map(); // ip -> { count, resetAt }
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i < 0) continue;
+    // Another app on the domain may set cookies that are not URI-encoded: skip those
+    try { out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim()); } catch {}
+  }
+  return out;
+}
+
+function sessionCookie(req, value, maxAgeSec, name = SESSION_COOKIE) {
+  return [
+    `${name}=${encodeURIComponent(value)}`,
+    `Path=${BASE_PATH || "/"}`,
+    "HttpOnly",
+    "SameSite=Lax",
+    `Max-Age=${maxAgeSec}`,
+    req.secure ? "Secure" : null,
+  ].filter(Boolean).join("; ");
+}
+
+function userFromRequest(req) {
+  const store = currentAuthStore();
+  if (!store) return { username: "anonymous", role: "admin", via: "none" };
+
+  const cookies = parseCookies(req.headers.cookie);
+  const sid = cookies[SESSION_COOKIE];
+  if (sid) {
+    const sess = sessions.get(sid);
+    if (sess && sess.expiresAt > Date.now()) return { username: sess.username, role: sess.role, via: "session" };
+    if (sess) sessions.delete(sid);
+  }
+
+  // Kiosk keys only read: ?kiosk_token= on the first load, then the cookie
+  const kioskToken = (typeof req.query.kiosk_token === "string" && req.query.kiosk_token) || cookies[KIOSK_COOKIE];
+  if (kioskToken && (req.method === "GET" || req.method === "HEAD")) {
+    const hash = hashApiKey(kioskToken);
+    const k = store.apiKeys.find(x => x.kiosk && x.keyHash === hash);
+    if (k) return { username: k.name, role: "viewer", via: "kiosk" };
+  }
+
+  const auth = String(req.headers.authorization || "");
+  let key = req.headers["x-api-key"] || (auth.startsWith("Bearer ") ? auth.slice(7).trim() : null);
+  // EventSource cannot send headers, so the stream also takes ?api_key=
+  if (!key && req.path === "/api/status/stream") key = req.query.api_key || null;
+  if (key) {
+    const hash = hashApiKey(key);
+    const k = store.apiKeys.find(x => !x.kiosk && x.keyHash === hash);
+    if (k) return { username: k.name, role: k.role, via: "api-key" };
+  }
+
+  return null;
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      const wantsPage = req.method === "GET" && !req.path.startsWith("/api/") && req.accepts(["html", "json"]) === "html";
+      if (wantsPage) return res.redirect(`${BASE_PATH}/login.html?next=${encodeURIComponent(BASE_PATH + req.originalUrl)}`);
+      return res.status(401).json({ ok: false, error: "Unauthorized" });
+    }
+    if (!roleAtLeast(req.user.role, role)) {
+      return res.status(403).json({ ok: false, error: "Forbidden" });
+    }
+    next();
+  };
+}
+
+const requireViewer = requireRole("viewer");
+const requireAdmin  = requireRole("admin");
+
+// Webhooks have their own auth (checkWebhookAuth); the login page must stay reachable
+const PUBLIC_PATHS = new Set([
+  "/login.html", "/hackney.css", "/branding.js", "/api/config", "/healthz", "/auth/login",
+  // PWA shell: the browser fetches these without asking the page
+  "/sw.js", "/manifest.webmanifest", "/icon.svg",
+]);
+
+app.use((req, res, next) => {
+  req.user = userFromRequest(req);
+  if (req.user?.via === "kiosk" && typeof req.query.kiosk_token === "string") {
+    res.setHeader("Set-Cookie", sessionCookie(req, req.query.kiosk_token, KIOSK_COOKIE_MAX_AGE_SEC, KIOSK_COOKIE));
+  }
+  if (PUBLIC_PATHS.has(req.path) || req.path.startsWith("/webhook/")) return next();
+  if (SIMULATOR && req.path.startsWith("/simulator/")) return next();
+  if (req.path.startsWith("/debug/")) return requireAdmin(req, res, next);
+  return requireViewer(req, res, next);
+});
+
+// Only same-site relative paths, so ?next= cannot bounce users elsewhere.
+// Browsers read "/\host" as "//host", so backslashes and control characters are refused too.
+const safeNext = (n) =>
+  (typeof n === "string" && n.startsWith("/") && !n.startsWith("//") && !/[\\\x00-\x1f\x7f]/.test(n) ? n : `${BASE_PATH}/`);
+
+app.post("/auth/login", (req, res) => {
+  const isForm = req.is("application/x-www-form-urlencoded");
+  const next = safeNext(req.body?.next);
+  const fail = (status, error) => isForm
+    ? res.redirect(`${BASE_PATH}/login.html?error=${encodeURIComponent(error)}&next=${encodeURIComponent(next)}`)
+    : res.status(status).json({ ok: false, error });
+
+  const store = currentAuthStore();
+  if (!store) return fail(400, "Auth is disabled");
+
+  const now = Date.now();
+  const ip = req.ip;
+  const f = loginFailures.get(ip);
+  if (f && f.resetAt > now && f.count >= LOGIN_MAX_FAILURES) return fail(429, "Too many attempts, try later");
+
+  const username = String(req.body?.username || "").trim();
+  const password = String(req.body?.password || "");
+  const user = store.users.find(u => u.username === username);
+  const passwordOk = verifyPassword(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+
+  if (!user || !passwordOk) {
+    const entry = f && f.resetAt > now ? f : { count: 0, resetAt: now + LOGIN_WINDOW_MS };
+    entry.count++;
+    loginFailures.set(ip, entry);
+    console.warn(`Login failed: username=${username} ip=${ip}`);
+    return fail(401, "Invalid username or password");
+  }
+
+  loginFailures.delete(ip);
+  const sid = crypto.randomBytes(32).toString("base64url");
+  const session = { username: user.username, role: user.role, expiresAt: now + SESSION_TTL_MS };
+  sessions.set(sid, session);
+  sharedState.publish({ type: "session", id: sid, session }).catch(() => {});
+  res.setHeader("Set-Cookie", sessionCookie(req, sid, Math.floor(SESSION_TTL_MS / 1000)));
+  console.log(`Login: username=${user.username} role=${user.role}`);
+
+  if (isForm) return res.redirect(next);
+  res.json({ ok: true, user: { username: user.username, role: user.role } });
+});
+
+app.post("/auth/logout", (req, res) => {
+  const sid = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (sid) {
+    sessions.delete(sid);
+    sharedState.publish({ type: "session-end", id: sid }).catch(() => {});
+  }
+  res.setHeader("Set-Cookie", [sessionCookie(req, "", 0), sessionCookie(req, "", 0, KIOSK_COOKIE)]);
+  // The browser's HTTP cache; sw.js empties its own cache when it sees this request
+  res.setHeader("Clear-Site-Data", '"cache"');
+  if (req.is("application/x-www-form-urlencoded")) return res.redirect(`${BASE_PATH}/login.html`);
+  res.json({ ok: true });
+});
+
+app.get("/auth/me", (req, res) => {
+  res.json({ username: req.user.username, role: req.user.role, authEnabled: !!currentAuthStore() });
+});
+
+// Drop expired sessions
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, sess] of sessions) if (sess.expiresAt <= now) sessions.delete(id);
+}, 10 * 60 * 1000);
 
 /**
  * onlineMap: callsign -> {
@@ -35,7 +309,14 @@ app.use(express.urlencoded({ extended: true }));
  *   driverStatusCode: string | null,   // raw VehicleStatus (BusyMeterOff, …)
  *   driverStatusLabel: string | null,  // friendly label for UI
  *   driverStatus: string | null,       // alias of driverStatusLabel (backwards compat)
- *   explicitOnline: boolean|null       // true = on shift / tracking, false = off shift
+ *   explicitOnline: boolean|null,      // derived (merge.js): true = on shift / tracking, false = off shift
+ *   shiftOn: boolean|null,             // last shift state from ShiftChange
+ *   shiftLabel, statusLabel,           // per-source labels; driverStatusLabel is the newer one
+ *   watermarks: { shift, status, heartbeat }, // newest event time per source (ISO)
+ *   position: { lat, lng, speed, heading, at } | undefined, // latest HackneyLocation fix
+ *   rank: { id, enteredAt } | undefined, // queued on a station rank (see RANKS_FILE)
+ *   override: { kind, note, setBy, setAt, expiresAt } | undefined, // dispatcher override
+ *   statusSince: ISO | undefined,      // last change of online state or effective status code
  * }
  */
 let onlineMap = new Map();
@@ -58,68 +339,208 @@ function debugLog(label, payload) {
 }
 
 // ---------- Persistence ----------
-function loadStatusFromDisk() {
+// See store.js: sqlite (default) upserts one row per callsign as it changes;
+// json keeps the old debounced status.json snapshot.
+let store;
+try {
+  store = createStore({ backend: STORE_BACKEND, statusFile: STATUS_FILE, sqliteFile: SQLITE_FILE });
+  onlineMap = store.loadAll();
+  console.log(`Loaded ${onlineMap.size} records from ${store.name} store`);
+} catch (e) {
+  console.error("Store init failed:", e.message);
+  process.exit(1);
+}
+
+// Single write path for records: memory + durable store + other instances.
+// Losing a race in shared state means another instance's newer record wins.
+function setRecord(callsign, rec) {
+  stampStatusSince(onlineMap.get(callsign), rec);
+  rec.rev = nextRevision(rec.updatedAt, onlineMap.get(callsign)?.rev, INSTANCE_ID);
+  saveLocal(callsign, rec);
+  sharedState.commit(callsign, rec)
+    .then(({ applied, current }) => {
+      if (!applied && current) applySharedRecord(callsign, current);
+    })
+    .catch(e => console.warn(`shared commit failed for ${callsign}:`, e.message));
+}
+
+function saveLocal(callsign, rec) {
+  onlineMap.set(callsign, rec);
   try {
-    if (fs.existsSync(STATUS_FILE)) {
-      const raw = JSON.parse(fs.readFileSync(STATUS_FILE, "utf8"));
-      onlineMap = new Map(raw.map(([k, v]) => [k, v]));
-      console.log(`Loaded ${onlineMap.size} records from ${STATUS_FILE}`);
-    } else {
-      console.log(`No ${STATUS_FILE}, starting clean`);
-    }
+    store.upsert(callsign, rec);
+  } catch (e) {
+    console.warn(`store upsert failed for ${callsign}:`, e.message);
+  }
+}
+
+// ---------- History journal ----------
+// Append-only NDJSON: one line per accepted change, rotated by size.
+// history.ndjson is current, history.1.ndjson the previous one, and so on.
+const HISTORY_FILE = path.join(HISTORY_DIR, "history.ndjson");
+
+function rotatedHistoryFile(n) {
+  return n === 0 ? HISTORY_FILE : path.join(HISTORY_DIR, `history.${n}.ndjson`);
+}
+
+function rotateHistoryIfNeeded() {
+  let size = 0;
+  try { size = fs.statSync(HISTORY_FILE).size; } catch { return; }
+  if (size < HISTORY_MAX_BYTES) return;
+
+  const oldest = rotatedHistoryFile(HISTORY_MAX_FILES);
+  if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+  for (let n = HISTORY_MAX_FILES - 1; n >= 0; n--) {
+    const from = rotatedHistoryFile(n);
+    if (fs.existsSync(from)) fs.renameSync(from, rotatedHistoryFile(n + 1));
+  }
+}
+
+// ts: when it happened, if not the record's own updatedAt (e.g. overrides)
+function appendHistory(callsign, rec, source, ts = null) {
+  try {
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    rotateHistoryIfNeeded();
+    const entry = {
+      ts: ts || rec?.updatedAt || new Date().toISOString(),
+      at: new Date().toISOString(),
+      callsign,
+      source,
+      code: rec?.driverStatusCode ?? null,
+      label: rec?.driverStatusLabel ?? rec?.driverStatus ?? null,
+      explicitOnline: rec?.explicitOnline ?? null,
+      online: computeOnline(rec),
+    };
+    fs.appendFileSync(HISTORY_FILE, JSON.stringify(entry) + "\n", "utf8");
   } catch (e) {
-    console.warn("loadStatusFromDisk failed:", e.message);
+    console.warn("appendHistory failed:", e.message);
   }
 }
 
-let saveTimer;
-function saveStatusToDisk() {
-  clearTimeout(saveTimer);
-  saveTimer = setTimeout(() => {
+// Stream journal entries for one callsign (null: every callsign), oldest file
+// first, filtered by [fromMs, toMs], to onEntry. Files last written before
+// fromMs are skipped unread, and reading stops at the first line appended
+// after stopAfterMs, so a report for last week does not read this week too.
+async function streamHistory(callsign, { fromMs = null, toMs = null, stopAfterMs = null }, onEntry) {
+  for (let n = HISTORY_MAX_FILES; n >= 0; n--) {
+    const file = rotatedHistoryFile(n);
+    let stat;
+    try { stat = fs.statSync(file); } catch { continue; }
+    if (fromMs !== null && stat.mtimeMs < fromMs) continue;
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file, "utf8"), crlfDelay: Infinity });
     try {
-      const arr = Array.from(onlineMap.entries());
-      fs.writeFileSync(STATUS_FILE, JSON.stringify(arr), "utf8");
+      for await (const line of lines) {
+        if (!line) continue;
+        let e;
+        try { e = JSON.parse(line); } catch { continue; }
+        if (stopAfterMs !== null && Date.parse(e.at || e.ts) > stopAfterMs) return;
+        if (callsign !== null && e.callsign !== callsign) continue;
+
+        const t = Date.parse(e.ts);
+        if (!Number.isFinite(t)) continue;
+        if (fromMs !== null && t < fromMs) continue;
+        if (toMs !== null && t > toMs) continue;
+        onEntry(e);
+      }
     } catch (e) {
-      console.warn("saveStatusToDisk failed:", e.message);
+      console.warn(`read ${file} failed:`, e.message);
+    } finally {
+      lines.close();
     }
-  }, 500);
+  }
+}
+
+async function readHistory(callsign, fromMs, toMs) {
+  const out = [];
+  await streamHistory(callsign, { fromMs, toMs }, (e) => out.push(e));
+  out.sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts));
+  return out;
 }
 
-loadStatusFromDisk();
+// ts of the oldest entry the journal still has (null when it is empty)
+function historyStartMs() {
+  for (let n = HISTORY_MAX_FILES; n >= 0; n--) {
+    let fd;
+    try { fd = fs.openSync(rotatedHistoryFile(n), "r"); } catch { continue; }
+    try {
+      const buf = Buffer.alloc(4096);
+      const first = buf.toString("utf8", 0, fs.readSync(fd, buf, 0, buf.length, 0)).split("\n")[0];
+      const t = Date.parse(JSON.parse(first).ts);
+      if (Number.isFinite(t)) return t;
+    } catch {
+      // a torn first line: try the next file
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+  return null;
+}
 
 const normKey = (s) => String(s || "").trim().toUpperCase();
 
-// Helper: is incoming timestamp newer than existing?
-function isNewerTimestamp(incomingIso, existingIso) {
-  if (!incomingIso) return false;
-  const inMs = Date.parse(incomingIso);
-  if (!Number.isFinite(inMs)) return false;
-  if (!existingIso) return true;
-  const exMs = Date.parse(existingIso);
-  if (!Number.isFinite(exMs)) return true;
-  return inMs >= exMs;
+// ---------- Status-code catalogue ----------
+/**
+ * STATUS_CODES_FILE is the one place Autocab VehicleStatus codes get their
+ * meaning: short/long label, colour, working flag and cash/account. The
+ * dashboard loads the same file from /api/status-codes. An optional
+ * waitMinutes { warn, alert } colours the board's time-in-status.
+ */
+let statusCatalogue = { codes: {}, busyFallback: null, offlineLabels: [] };
+
+function loadStatusCatalogue() {
+  try {
+    const raw = JSON.parse(fs.readFileSync(STATUS_CODES_FILE, "utf8"));
+    statusCatalogue = {
+      codes: raw?.codes || {},
+      busyFallback: raw?.busyFallback || null,
+      offlineLabels: (raw?.offlineLabels || []).map(l => String(l).toLowerCase()),
+    };
+    console.log(`Loaded ${Object.keys(statusCatalogue.codes).length} status codes from ${STATUS_CODES_FILE}`);
+  } catch (e) {
+    console.error(`Refusing to start: cannot read ${STATUS_CODES_FILE}:`, e.message);
+    process.exit(1);
+  }
+}
+
+loadStatusCatalogue();
+
+// Catalogue entry for a code; unknown Busy* codes get busyFallback
+function statusCodeInfo(code) {
+  if (!code) return null;
+  const entry = statusCatalogue.codes[code];
+  if (entry) return entry;
+  if (String(code).toLowerCase().startsWith("busy")) return statusCatalogue.busyFallback;
+  return null;
+}
+
+// code -> { count, firstSeen, lastSeen, lastCallsign }
+const unknownStatusCodes = new Map();
+
+function noteStatusCode(code, callsign) {
+  if (!code || statusCatalogue.codes[code]) return;
+  const now = new Date().toISOString();
+  const seen = unknownStatusCodes.get(code);
+  if (seen) {
+    seen.count++;
+    seen.lastSeen = now;
+    seen.lastCallsign = callsign;
+    return;
+  }
+  unknownStatusCodes.set(code, { count: 1, firstSeen: now, lastSeen: now, lastCallsign: callsign });
+  console.warn(`Unknown VehicleStatus "${code}" from ${callsign} — add it to ${STATUS_CODES_FILE}`);
 }
 
 // ---------- ONLINE LOGIC ----------
 function computeOnline(rec) {
   if (!rec) return false;
+  if (activeOverride(rec)?.kind === "offline") return false;
 
   const code = rec.driverStatusCode || "";
   const statusLower = (rec.driverStatusLabel || rec.driverStatus || "").toString().toLowerCase();
 
-  // Hard offline states
-  if (
-    code === "NotWorking" ||
-    statusLower.includes("not working") ||
-    statusLower.includes("off shift") ||
-    statusLower.includes("off-duty") ||
-    statusLower.includes("off duty") ||
-    statusLower.includes("logged off") ||
-    statusLower.includes("signed off") ||
-    statusLower.includes("not on shift")
-  ) {
-    return false;
-  }
+  // Hard offline states: non-working codes, or shift labels like "Off Shift"
+  if (statusCodeInfo(code)?.working === false) return false;
+  if (statusCatalogue.offlineLabels.some(l => statusLower.includes(l))) return false;
 
   // Must be explicitly online
   if (rec.explicitOnline !== true) return false;
@@ -146,9 +567,13 @@ function statusPayload(callsign, rec) {
   let driverStatus = rec?.driverStatus || rec?.driverStatusLabel || null;
   let driverStatusCode = rec?.driverStatusCode || null;
 
+  const override = activeOverride(rec);
+
   if (!online) {
     driverStatus = "OFFLINE";
     driverStatusCode = "NotWorking";
+  } else if (OVERRIDE_KINDS[override?.kind]?.status) {
+    driverStatus = OVERRIDE_KINDS[override.kind].status;
   }
 
   return {
@@ -157,9 +582,137 @@ function statusPayload(callsign, rec) {
     updatedAt: rec?.updatedAt || null,
     driverStatus,
     driverStatusCode,
+    statusSince: rec?.statusSince || null,
+    override: override ? { ...override, label: OVERRIDE_KINDS[override.kind].label } : null,
+  };
+}
+
+// What "time in status" measures: online state plus the online-forced code
+function effectiveStatusKey(rec) {
+  const p = statusPayload("", rec);
+  return `${p.online}:${p.driverStatusCode || ""}`;
+}
+
+// statusSince moves only when the effective status changes, never on a plain
+// heartbeat. Records from before statusSince get one at their next change.
+function stampStatusSince(prev, rec, at = new Date().toISOString()) {
+  if (prev === rec) return;
+  if (prev && effectiveStatusKey(prev) === effectiveStatusKey(rec)) {
+    if (prev.statusSince) rec.statusSince = prev.statusSince;
+  } else {
+    rec.statusSince = at;
+  }
+}
+
+// Position + the (online-forced) status used to colour it on the map
+function positionPayload(callsign, rec) {
+  const p = rec?.position;
+  if (!p) return null;
+  const status = statusPayload(callsign, rec);
+  return {
+    callsign,
+    lat: p.lat,
+    lng: p.lng,
+    speed: p.speed ?? null,
+    heading: p.heading ?? null,
+    at: p.at,
+    online: status.online,
+    driverStatus: status.driverStatus,
+    driverStatusCode: status.driverStatusCode,
   };
 }
 
+// ---------- Station ranks ----------
+/**
+ * ranks: [{ id, name, polygon: [[lat, lng], ...] }] loaded from RANKS_FILE.
+ * A vehicle is queued on a rank while it is online, Clear and inside the polygon;
+ * queue order is the time it became eligible (rec.rank.enteredAt).
+ */
+let ranks = [];
+
+function loadRanks() {
+  try {
+    if (!fs.existsSync(RANKS_FILE)) {
+      console.log(`No ${RANKS_FILE}, rank queues disabled`);
+      return;
+    }
+    const raw = JSON.parse(fs.readFileSync(RANKS_FILE, "utf8"));
+    const list = Array.isArray(raw) ? raw : (raw?.ranks || []);
+    ranks = list
+      .filter(r => r?.id && Array.isArray(r.polygon) && r.polygon.length >= 3)
+      .map(r => ({
+        id: String(r.id),
+        name: r.name || String(r.id),
+        polygon: r.polygon.map(([lat, lng]) => [Number(lat), Number(lng)]),
+      }));
+    console.log(`Loaded ${ranks.length} rank(s) from ${RANKS_FILE}`);
+  } catch (e) {
+    console.warn("loadRanks failed:", e.message);
+  }
+}
+
+loadRanks();
+
+// Ray casting; polygon is [[lat, lng], ...]
+function pointInPolygon(lat, lng, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [yi, xi] = polygon[i];
+    const [yj, xj] = polygon[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function rankForPosition(pos) {
+  if (!pos) return null;
+  return ranks.find(r => pointInPolygon(pos.lat, pos.lng, r.polygon)) || null;
+}
+
+/**
+ * Recompute rec.rank (mutates rec). Returns the ids of rank queues that changed.
+ * Anything but online + Clear (JobOffered, BusyMeter*, NotWorking, timed out)
+ * or leaving the polygon drops the vehicle from the queue.
+ */
+function applyRankMembership(rec, ts) {
+  const prevId = rec.rank?.id || null;
+  const inRank = rankForPosition(rec.position);
+  const eligible = !!inRank && rec.driverStatusCode === "Clear" && computeOnline(rec) && !overrideBlocksQueue(rec);
+
+  if (eligible && prevId === inRank.id) return [];
+
+  if (eligible) {
+    rec.rank = { id: inRank.id, enteredAt: ts || new Date().toISOString() };
+    return prevId ? [prevId, inRank.id] : [inRank.id];
+  }
+
+  if (prevId) {
+    delete rec.rank;
+    return [prevId];
+  }
+  return [];
+}
+
+function rankQueue(rankId) {
+  const now = Date.now();
+  return Array.from(onlineMap.entries())
+    .filter(([, rec]) => rec.rank?.id === rankId)
+    .sort(([a, ra], [b, rb]) =>
+      (Date.parse(ra.rank.enteredAt) - Date.parse(rb.rank.enteredAt)) || a.localeCompare(b, undefined, { numeric: true }))
+    .map(([cs, rec], i) => ({
+      callsign: cs,
+      position: i + 1,
+      enteredAt: rec.rank.enteredAt,
+      waitSeconds: Math.max(0, Math.round((now - Date.parse(rec.rank.enteredAt)) / 1000)),
+    }));
+}
+
+function rankPayload(rank) {
+  return { id: rank.id, name: rank.name, queue: rankQueue(rank.id), ts: new Date().toISOString() };
+}
+
 // ---------- Common helpers ----------
 function extractCallsignGeneric(obj) {
   const direct =
@@ -184,33 +737,42 @@ function extractCallsignGeneric(obj) {
   );
 }
 
-function coercePayloadToArray(body) {
-  const b = body || {};
-  if (Array.isArray(b)) return b;
-  if (Array.isArray(b.VehicleTracks)) return b.VehicleTracks;
-  if (Array.isArray(b.data)) return b.data;
-  if (Array.isArray(b.items)) return b.items;
-  if (Array.isArray(b.Shifts)) return b.Shifts;
-  if (Array.isArray(b.Events)) return b.Events;
-  return [b];
+// Pull coordinates/speed/heading out of a HackneyLocation item (null if none usable)
+function extractPosition(item) {
+  const loc =
+    item?.Location ?? item?.location ??
+    item?.Position ?? item?.position ??
+    item?.Coordinates ?? item?.coordinates ??
+    item;
+
+  const num = (...vals) => {
+    for (const v of vals) {
+      if (v === undefined || v === null || v === "") continue;
+      const n = Number(v);
+      if (Number.isFinite(n)) return n;
+    }
+    return null;
+  };
+
+  const lat = num(loc?.Latitude, loc?.latitude, loc?.Lat, loc?.lat);
+  const lng = num(loc?.Longitude, loc?.longitude, loc?.Lng, loc?.lng, loc?.Lon, loc?.lon);
+  if (lat === null || lng === null) return null;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  if (lat === 0 && lng === 0) return null; // MDT with no GPS fix
+
+  return {
+    lat,
+    lng,
+    speed:   num(item?.Speed, item?.speed, loc?.Speed, loc?.speed),
+    heading: num(item?.Heading, item?.heading, item?.Bearing, item?.bearing, loc?.Heading, loc?.heading, loc?.Bearing, loc?.bearing),
+  };
 }
 
-// VehicleStatus → friendly label (backend only; frontend now does its own shortening)
+// VehicleStatus → long label from the catalogue (the frontend shows the short one)
 function vehicleStatusLabel(raw) {
   if (!raw) return null;
   const s = String(raw).trim();
-
-  if (raw === "Clear") return "Clear";
-
-  if (raw === "BusyMeterOff" || raw === "BusyMeterOffAccount") return "Dispatched";
-  if (raw === "BusyMeterOnFromMeterOffCash" || raw === "BusyMeterOnFromMeterOffAccount") return "Picked up";
-  if (raw === "BusyMeterOnFromClear") return "Street Booking";
-  if (raw === "JobOffered") return "Offering Job";
-
-  const lower = s.toLowerCase();
-  if (lower.startsWith("busy")) return "Busy";
-
-  return s; // fallback
+  return statusCodeInfo(s)?.label ?? s; // fallback: the raw code
 }
 
 function shiftStatusLabel(rawStatus, eventType, subType, item) {
@@ -293,7 +855,87 @@ function inferExplicitOnlineFromShift(rawStatus, eventType, subType, item) {
 }
 
 // ---------- SSE ----------
-let sseClients = new Set();
+/**
+ * Every event gets an id "<epoch>-<seq>" and goes into a ring buffer of the
+ * last SSE_BUFFER_SIZE events (sse.js). A client reconnecting with
+ * Last-Event-ID gets only what it missed; if that is no longer buffered (or
+ * the server restarted, which changes the epoch) it gets a fresh snapshot
+ * instead.
+ *
+ * Query filters: ?callsigns=214,215  ?online=1|0  ?events=status,rank
+ * Clients whose unsent output passes SSE_MAX_PENDING_BYTES are dropped.
+ */
+const SSE_BUFFER_SIZE       = Number(process.env.SSE_BUFFER_SIZE || 1000);
+const SSE_MAX_PENDING_BYTES = Number(process.env.SSE_MAX_PENDING_BYTES || 1024 * 1024);
+
+const sseLog = createEventLog({ size: SSE_BUFFER_SIZE });
+let sseClients = new Set(); // { res, filter, inSet }
+
+function parseSseFilter(query) {
+  const list = (v) => {
+    const items = String(v || "").split(",").map(x => x.trim()).filter(Boolean);
+    return items.length ? items : null;
+  };
+  const callsigns = list(query.callsigns);
+  const events = list(query.events);
+  const online = query.online === undefined || query.online === "" ? null : ["1", "true"].includes(String(query.online));
+  return {
+    callsigns: callsigns ? new Set(callsigns.map(normKey)) : null,
+    events: events ? new Set(events) : null,
+    online,
+  };
+}
+
+function clientWants(client, event, data) {
+  const f = client.filter;
+  if (f.events && !f.events.has(event)) return false;
+
+  if (event === "status" || event === "position") {
+    const cs = data.callsign;
+    if (f.callsigns && !f.callsigns.has(cs)) return false;
+    if (f.online === null) return true;
+    if (data.online === f.online) {
+      client.inSet.add(cs);
+      return true;
+    }
+    // Let a vehicle leaving the filtered set through once, so the client can drop it
+    return event === "status" && client.inSet.delete(cs);
+  }
+
+  if (event === "remove") {
+    client.inSet.delete(data.callsign);
+    return !f.callsigns || f.callsigns.has(data.callsign);
+  }
+
+  if (event === "alert" && f.callsigns) {
+    const cs = data.alert?.callsign;
+    return !cs || f.callsigns.has(cs);
+  }
+  return true;
+}
+
+function dropSseClient(client, reason) {
+  sseClients.delete(client);
+  sseDropped.inc();
+  console.warn(`SSE client dropped (${reason}) ip=${client.ip}`);
+  try { client.res.destroy(); } catch {}
+}
+
+function sendToClient(client, frame) {
+  if (client.res.writableLength > SSE_MAX_PENDING_BYTES) {
+    dropSseClient(client, `${client.res.writableLength} bytes pending`);
+    return;
+  }
+  try { client.res.write(frame); } catch {}
+}
+
+function publish(event, data) {
+  const { seq } = sseLog.append(event, data);
+  const frame = sseLog.frame(event, data, seq);
+  for (const client of sseClients) {
+    if (clientWants(client, event, data)) sendToClient(client, frame);
+  }
+}
 
 app.get("/api/status/stream", (req, res) => {
   res.setHeader("Content-Type", "text/event-stream");
@@ -301,35 +943,71 @@ app.get("/api/status/stream", (req, res) => {
   res.setHeader("Connection", "keep-alive");
   res.flushHeaders?.();
 
-  const snapshot = Array.from(onlineMap.entries()).map(([k, v]) => statusPayload(k, v));
-  res.write(`event: snapshot\ndata:${JSON.stringify({ data: snapshot })}\n\n`);
+  const client = { res, ip: req.ip, filter: parseSseFilter(req.query), inSet: new Set() };
+  const missed = sseLog.since(req.headers["last-event-id"] || req.query.lastEventId);
+
+  if (missed) {
+    // We don't know what the client last saw as online, so any offline transition may matter
+    client.inSet = new Set(onlineMap.keys());
+    for (const e of missed) {
+      if (clientWants(client, e.event, e.data)) res.write(sseLog.frame(e.event, e.data, e.seq));
+    }
+  } else {
+    const f = client.filter;
+    const snapshot = Array.from(onlineMap.entries())
+      .map(([k, v]) => statusPayload(k, v))
+      .filter(p => (!f.callsigns || f.callsigns.has(p.callsign)) && (f.online === null || p.online === f.online));
+    for (const p of snapshot) if (p.online) client.inSet.add(p.callsign);
+
+    if (!f.events || f.events.has("snapshot")) {
+      res.write(sseLog.frame("snapshot", { data: snapshot }, sseLog.seq));
+    } else {
+      res.write(`id: ${sseLog.id(sseLog.seq)}\n\n`);
+    }
+    if (!f.events || f.events.has("rank")) {
+      for (const rank of ranks) res.write(sseLog.frame("rank", rankPayload(rank)));
+    }
+  }
 
-  sseClients.add(res);
-  req.on("close", () => sseClients.delete(res));
+  sseClients.add(client);
+  req.on("close", () => sseClients.delete(client));
 });
 
 const HEARTBEAT_MS = 25000;
 setInterval(() => {
-  for (const res of sseClients) {
-    try { res.write(`:heartbeat ${Date.now()}\n\n`); } catch {}
-  }
+  for (const client of sseClients) sendToClient(client, `:heartbeat ${Date.now()}\n\n`);
 }, HEARTBEAT_MS);
 
 function broadcastStatus(callsign, rec) {
   const payload = statusPayload(callsign, rec);
-  const msg = `event: status\ndata:${JSON.stringify(payload)}\n\n`;
-  for (const res of sseClients) {
-    try { res.write(msg); } catch {}
+  publish("status", payload);
+  notifyWatchers(payload);
+}
+
+function broadcastRanks(rankIds) {
+  for (const id of new Set(rankIds)) {
+    const rank = ranks.find(r => r.id === id);
+    if (rank) publish("rank", rankPayload(rank));
   }
 }
 
+function broadcastAlert(event, alert) {
+  publish("alert", { event, alert });
+}
+
+function broadcastPosition(callsign, rec) {
+  const payload = positionPayload(callsign, rec);
+  if (payload) publish("position", payload);
+}
+
 /**
  * Timeout sweeper: broadcasts transitions caused by time passing
  */
 const TIMEOUT_SWEEP_MS = Number(process.env.TIMEOUT_SWEEP_MS || 30000);
 let lastOnlineState = new Map(); // callsign -> boolean
 
-setInterval(() => {
+function sweepTimeouts() {
+  expireOverrides();
   for (const [cs, rec] of onlineMap.entries()) {
     const nowOnline = computeOnline(rec);
     const prevOnline = lastOnlineState.get(cs);
@@ -341,169 +1019,545 @@ setInterval(() => {
 
     if (prevOnline !== nowOnline) {
       lastOnlineState.set(cs, nowOnline);
+      // Time passing changed the online state, so statusSince is stamped here
+      rec.statusSince = new Date().toISOString();
+      appendHistory(cs, rec, "timeout");
       broadcastStatus(cs, rec);
+      const changedRanks = applyRankMembership(rec);
+      setRecord(cs, rec);
+      broadcastRanks(changedRanks);
     }
   }
-}, TIMEOUT_SWEEP_MS);
-
-// ---------- Webhook auth ----------
-function checkWebhookAuth(req, res) {
-  if (!WEBHOOK_TOKEN) return true;
-  const provided = req.headers["x-webhook-token"];
-  if (provided !== WEBHOOK_TOKEN) {
-    res.status(401).json({ ok: false, error: "Unauthorized" });
-    return false;
-  }
-  return true;
 }
 
-// ---------- HackneyLocation: simple ping (now can mark online) ----------
-app.post("/webhook/HackneyLocation", (req, res) => {
-  try {
-    if (!checkWebhookAuth(req, res)) return;
-
-    lastHackneyLocationPayload = req.body;
-    debugLog("WEBHOOK HIT: HackneyLocation", req.body);
-
-    const items = coercePayloadToArray(req.body);
-    let updates = 0;
-    const nowIso = new Date().toISOString();
+// Only the leader sweeps (see Shared state); everyone evaluates alerts
+setInterval(() => {
+  if (sharedState.isLeader()) sweepTimeouts();
+  evaluateAlerts();
+}, TIMEOUT_SWEEP_MS);
 
-    for (const item of items) {
-      if (!item || typeof item !== "object") continue;
-      const cs = extractCallsignGeneric(item);
-      if (!cs) continue;
-      const key = normKey(cs);
+// ---------- Shared state (several instances) ----------
+/**
+ * With SHARED_STATE=redis every instance keeps onlineMap as a replica: local
+ * writes are committed to Redis (ordered by rec.rev, see shared.js) and other
+ * instances apply them and push them to their own SSE clients. One instance
+ * holds the leader lease and runs the timeout sweeper, whose transitions
+ * reach the others as ordinary record commits. Alerts are evaluated
+ * everywhere but only the leader notifies.
+ */
+const sharedState = createSharedState({
+  backend: SHARED_STATE,
+  url: REDIS_URL,
+  instanceId: INSTANCE_ID,
+  prefix: process.env.REDIS_PREFIX || "hackney:",
+  leaderTtlMs: Number(process.env.LEADER_TTL_MS || 15000),
+});
 
-      const ts = item.Timestamp || item.timestamp || item.time || nowIso;
+// A record from another instance (or the winner of a lost commit race)
+function applySharedRecord(callsign, rec) {
+  const existing = onlineMap.get(callsign);
+  if (existing && !isNewerRevision(rec.rev, existing.rev)) return;
+
+  saveLocal(callsign, rec);
+  lastOnlineState.set(callsign, computeOnline(rec));
+  broadcastStatus(callsign, rec);
+  if (rec.position && rec.position.at !== existing?.position?.at) broadcastPosition(callsign, rec);
+  broadcastRanks([existing?.rank?.id, rec.rank?.id].filter(Boolean));
+  scheduleAlertEvaluation();
+}
 
-      const existing = onlineMap.get(key) || {};
+sharedState.onMessage((msg) => {
+  if (msg.type === "record") {
+    applySharedRecord(normKey(msg.callsign), msg.rec);
+  } else if (msg.type === "remove") {
+    forgetRecord(msg.callsign);
+  } else if (msg.type === "erase") {
+    forgetRecord(msg.callsign);
+    eraseLocalData(msg.callsign);
+  } else if (msg.type === "session") {
+    sessions.set(msg.id, msg.session);
+  } else if (msg.type === "session-end") {
+    sessions.delete(msg.id);
+  }
+});
 
-      // Only update if newer
-      if (!isNewerTimestamp(ts, existing.updatedAt || existing.lastPingAt || null)) continue;
+try {
+  await sharedState.connect();
+  const shared = await sharedState.loadAll();
+  if (shared) {
+    // Newest copy wins; records only we have (e.g. first run) are pushed up
+    let pulled = 0, pushed = 0;
+    for (const [cs, rec] of shared) {
+      if (isNewerRevision(rec.rev, onlineMap.get(cs)?.rev)) { saveLocal(cs, rec); pulled++; }
+    }
+    for (const [cs, rec] of onlineMap) {
+      if (shared.has(cs)) continue;
+      if (!rec.rev) rec.rev = nextRevision(rec.updatedAt, null, INSTANCE_ID);
+      await sharedState.commit(cs, rec);
+      pushed++;
+    }
+    console.log(`Shared state (${sharedState.name}): ${shared.size} records, pulled ${pulled}, pushed ${pushed}`);
+  }
+} catch (e) {
+  console.error("Shared state init failed:", e.message);
+  process.exit(1);
+}
 
-      // If explicitly OFF, keep OFF. Else treat ping as online.
-      let explicitOnline = existing.explicitOnline;
-      if (explicitOnline === undefined || explicitOnline === null) explicitOnline = true;
+// ---------- Webhook auth ----------
+/**
+ * Per route (see webhookauth.js): HMAC-SHA256 signature when a secret is
+ * configured (WEBHOOK_SECRET_<ROUTE>, falling back to the shared
+ * WEBHOOK_SECRET; <NAME>_PREVIOUS holds the outgoing key while a secret is
+ * rotated), else the shared x-webhook-token header (WEBHOOK_TOKEN), else
+ * open (refused at startup when NODE_ENV=production).
+ */
+const WEBHOOK_ROUTES = ["HackneyLocation", "Status", "ShiftChange"];
+const WEBHOOK_MAX_SKEW_MS = Number(process.env.WEBHOOK_MAX_SKEW_SECONDS || 300) * 1000;
 
-      const rec = {
-        ...existing,
-        lastPingAt: ts,
-        updatedAt: ts,
-        explicitOnline,
-      };
+function secretsFromEnv(name) {
+  return [process.env[name], process.env[`${name}_PREVIOUS`]].filter(Boolean);
+}
 
-      onlineMap.set(key, rec);
-      lastOnlineState.set(key, computeOnline(rec));
-      updates++;
-      broadcastStatus(key, rec);
-    }
+function webhookSecretsFor(route) {
+  const own = secretsFromEnv(`WEBHOOK_SECRET_${route.toUpperCase()}`);
+  return own.length ? own : secretsFromEnv("WEBHOOK_SECRET");
+}
 
-    if (updates > 0) saveStatusToDisk();
-    res.json({ ok: true, updates });
-  } catch (e) {
-    console.error("HackneyLocation error:", e);
-    res.status(400).json({ ok: false, error: e.message });
-  }
+const webhookVerifier = createWebhookVerifier({
+  secretsFor: webhookSecretsFor,
+  token: WEBHOOK_TOKEN,
+  maxSkewMs: WEBHOOK_MAX_SKEW_MS,
 });
 
-// ---------- Status: VehicleTracksChanged ----------
-app.post("/webhook/Status", (req, res) => {
-  try {
-    if (!checkWebhookAuth(req, res)) return;
-
-    lastStatusPayload = req.body;
-    debugLog("WEBHOOK HIT: Status / VehicleTracks", req.body);
+// route -> reason -> count
+const webhookRejections = new Map();
 
-    const body = req.body || {};
-    const tracks = Array.isArray(body.VehicleTracks) ? body.VehicleTracks : coercePayloadToArray(body);
+function rejectWebhook(req, res, route, reason) {
+  const byReason = webhookRejections.get(route) || {};
+  byReason[reason] = (byReason[reason] || 0) + 1;
+  webhookRejections.set(route, byReason);
 
-    let updates = 0;
+  console.warn(`Webhook rejected: route=${route} reason=${reason} ip=${req.ip}`);
+  res.status(401).json({ ok: false, error: "Unauthorized" });
+  return false;
+}
 
-    for (const track of tracks) {
-      if (!track || typeof track !== "object") continue;
+function checkWebhookAuth(req, res, route) {
+  const reason = webhookVerifier.verify(route, req.headers, req.rawBody);
+  return reason ? rejectWebhook(req, res, route, reason) : true;
+}
 
-      const vehicle = track.Vehicle || {};
-      const driver  = track.Driver  || {};
+const unprotectedRoutes = WEBHOOK_ROUTES.filter(r => !webhookVerifier.isProtected(r));
+if (unprotectedRoutes.length) {
+  if (IS_PRODUCTION) {
+    console.error(`Refusing to start: no webhook secret configured for ${unprotectedRoutes.join(", ")} (set WEBHOOK_SECRET or WEBHOOK_TOKEN)`);
+    process.exit(1);
+  }
+  console.warn(`WARNING: webhooks ${unprotectedRoutes.join(", ")} accept unauthenticated requests`);
+}
 
-      const cs =
-        vehicle.Callsign ||
-        driver.Callsign ||
-        extractCallsignGeneric(track) ||
-        null;
-      if (!cs) continue;
+// ---------- Metrics ----------
+// GET /metrics in Prometheus text format (viewer role, so scrape with an API key)
+const metrics = createRegistry();
+
+const webhookRequests = metrics.counter("hackney_webhook_requests_total", "Webhook requests by route and HTTP status", ["route", "status"]);
+const webhookOutcomes = metrics.counter(
+  "hackney_webhook_outcomes_total",
+  "Webhook items by outcome (applied, skipped-older, no-callsign, bad-timestamp, invalid); auth-failed, invalid-json and error count whole requests",
+  ["route", "outcome"]
+);
+const webhookDuration = metrics.histogram("hackney_webhook_duration_seconds", "Webhook handler latency", ["route"]);
+const upstreamRequests = metrics.counter("hackney_upstream_requests_total", "Calls to the Autocab API by endpoint and outcome", ["endpoint", "outcome"]);
+const upstreamDuration = metrics.histogram("hackney_upstream_duration_seconds", "Autocab API call latency", ["endpoint"]);
+const sseDropped = metrics.counter("hackney_sse_clients_dropped_total", "SSE clients dropped for falling behind");
+
+metrics.gauge("hackney_vehicles", "Tracked vehicles by (online-forced) status code", ["status_code"], () => {
+  const byCode = new Map();
+  for (const [cs, rec] of onlineMap) {
+    const code = statusPayload(cs, rec).driverStatusCode || "none";
+    byCode.set(code, (byCode.get(code) || 0) + 1);
+  }
+  return Array.from(byCode, ([code, n]) => [{ status_code: code }, n]);
+});
+metrics.gauge("hackney_vehicles_online", "Vehicles online according to computeOnline", [], () => {
+  let n = 0;
+  for (const rec of onlineMap.values()) if (computeOnline(rec)) n++;
+  return [[{}, n]];
+});
+metrics.histogramSnapshot(
+  "hackney_last_ping_age_seconds",
+  "Age of each vehicle's lastPingAt at scrape time",
+  [30, 60, 120, 300, 600, 900, 1800, 3600, 6 * 3600, 24 * 3600],
+  () => {
+    const now = Date.now();
+    const ages = [];
+    for (const rec of onlineMap.values()) {
+      const t = Date.parse(rec?.lastPingAt);
+      if (Number.isFinite(t)) ages.push(Math.max(0, (now - t) / 1000));
+    }
+    return ages;
+  }
+);
+metrics.gauge("hackney_sse_clients", "Connected SSE clients", [], () => [[{}, sseClients.size]]);
+
+// Also called for bodies express.json could not parse, which skip app.use middleware
+function observeWebhook(req, res) {
+  const done = webhookDuration.startTimer();
+  res.on("finish", () => {
+    const path = req.originalUrl.split("?")[0].replace(/^\/webhook\//, "");
+    const route = WEBHOOK_ROUTES.includes(path) ? path : "other";
+    done({ route });
+    webhookRequests.inc({ route, status: res.statusCode });
+
+    const outcome = res.locals.webhookOutcome;
+    if (res.statusCode === 401) {
+      webhookOutcomes.inc({ route, outcome: "auth-failed" });
+    } else if (res.locals.invalidJson) {
+      webhookOutcomes.inc({ route, outcome: "invalid-json" });
+    } else if (res.statusCode >= 400 || !outcome) {
+      webhookOutcomes.inc({ route, outcome: "error" });
+    } else {
+      webhookOutcomes.inc({ route, outcome: "applied" }, outcome.updates);
+      webhookOutcomes.inc({ route, outcome: "skipped-older" }, outcome.skipped?.older);
+      webhookOutcomes.inc({ route, outcome: "no-callsign" }, outcome.skipped?.noCallsign);
+      webhookOutcomes.inc({ route, outcome: "bad-timestamp" }, outcome.skipped?.badTimestamp);
+      webhookOutcomes.inc({ route, outcome: "invalid" }, outcome.skipped?.invalid);
+    }
+  });
+}
 
-      const key = normKey(cs);
-      const ts  = track.Timestamp || track.timestamp || track.time || new Date().toISOString();
+app.use("/webhook", (req, res, next) => {
+  observeWebhook(req, res);
+  next();
+});
 
-      const rawCode = track.VehicleStatus || track.vehicleStatus || null;
-      const label   = vehicleStatusLabel(rawCode);
+app.get("/metrics", (_req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
 
-      const existing = onlineMap.get(key) || {};
+// ---------- Webhook capture ----------
+/**
+ * Opt-in (CAPTURE_DIR): every webhook call, including rejected ones, is
+ * appended to capture-<started>.ndjson with the raw body, headers (secrets
+ * redacted), receipt time and outcome. Files roll at CAPTURE_MAX_BYTES and
+ * only the newest CAPTURE_MAX_FILES are kept. Feed them to replay.js.
+ */
+const REDACTED_HEADERS = new Set(["x-webhook-token", "x-webhook-signature", "authorization", "cookie", "x-api-key"]);
+let captureFile = null;
 
-      // Only update if newer
-      if (!isNewerTimestamp(ts, existing.updatedAt || null)) continue;
+function nextCaptureFile() {
+  // e.g. capture-20261019T064500.123.ndjson — sorts in time order
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace("Z", "");
+  return path.join(CAPTURE_DIR, `capture-${stamp}.ndjson`);
+}
 
-      const rec = {
-        ...existing,
-        lastPingAt: ts,            // IMPORTANT: status update counts as heartbeat
-        updatedAt: ts,
-        driverStatusCode: rawCode || existing.driverStatusCode || null,
-        driverStatusLabel: label ?? existing.driverStatusLabel ?? rawCode ?? null,
-        explicitOnline: true,      // tracking → definitely on/working
-      };
-      rec.driverStatus = rec.driverStatusLabel;
+function pruneCaptureFiles() {
+  const files = fs.readdirSync(CAPTURE_DIR).filter(f => /^capture-.*\.ndjson$/.test(f)).sort();
+  for (const f of files.slice(0, Math.max(0, files.length - CAPTURE_MAX_FILES))) {
+    fs.unlinkSync(path.join(CAPTURE_DIR, f));
+  }
+}
 
-      onlineMap.set(key, rec);
-      lastOnlineState.set(key, computeOnline(rec));
-      updates++;
-      broadcastStatus(key, rec);
+function writeCapture(entry) {
+  try {
+    fs.mkdirSync(CAPTURE_DIR, { recursive: true });
+    let size = 0;
+    if (captureFile) {
+      try { size = fs.statSync(captureFile).size; } catch { size = 0; }
     }
-
-    if (updates > 0) {
-      console.log(`Status webhook: updated ${updates} tracks`);
-      saveStatusToDisk();
+    if (!captureFile || size >= CAPTURE_MAX_BYTES) {
+      captureFile = nextCaptureFile();
+      pruneCaptureFiles();
     }
-
-    res.json({ ok: true, updates });
+    fs.appendFileSync(captureFile, JSON.stringify(entry) + "\n", "utf8");
   } catch (e) {
-    console.error("Status webhook error:", e);
-    res.status(400).json({ ok: false, error: e.message });
+    console.warn("webhook capture failed:", e.message);
   }
-});
+}
 
-// ---------- ShiftChange: logon/logoff ----------
-app.post("/webhook/ShiftChange", (req, res) => {
+// Also called for bodies express.json could not parse, which skip app.use middleware
+function captureWebhook(req, res) {
+  if (!CAPTURE_DIR) return;
+  const receivedAt = new Date().toISOString();
+  res.on("finish", () => {
+    const headers = {};
+    for (const [k, v] of Object.entries(req.headers)) {
+      headers[k] = REDACTED_HEADERS.has(k) ? "[redacted]" : v;
+    }
+    writeCapture({
+      receivedAt,
+      route: req.originalUrl.split("?")[0].replace(/^\/webhook\//, ""),
+      ip: req.ip,
+      headers,
+      body: req.rawBody ? req.rawBody.toString("utf8") : JSON.stringify(req.body ?? null),
+      outcome: { status: res.statusCode, ...(res.locals.webhookOutcome || {}) },
+    });
+  });
+}
+
+if (CAPTURE_DIR) {
+  console.log(`Webhook capture ON -> ${CAPTURE_DIR}`);
+  app.use("/webhook", (req, res, next) => {
+    captureWebhook(req, res);
+    next();
+  });
+}
+
+// ---------- Ingest validation & quarantine ----------
+/**
+ * Handlers validate bodies against WEBHOOK_SCHEMAS (schemas.js). Every item
+ * that is rejected, or skipped as older, lands in a bounded quarantine with
+ * its reason (GET /api/ingest/rejections), and per-minute counts feed the
+ * rejectionRate alert rule.
+ */
+const INGEST_QUARANTINE_SIZE = Number(process.env.INGEST_QUARANTINE_SIZE || 500);
+const QUARANTINE_ITEM_MAX_CHARS = 2000;
+
+const quarantine = [];               // newest first
+const quarantineCounts = new Map();  // `${route} ${reason}` -> count since start
+const ingestMinutes = new Map();     // minute start ms -> { items, rejected, skipped }
+
+// Reason -> key in the response's skipped counts
+const SKIPPED_KEYS = {
+  "older": "older",
+  "no-callsign": "noCallsign",
+  "bad-timestamp": "badTimestamp",
+  "missing-timestamp": "badTimestamp",
+  "not-an-object": "invalid",
+  "unrecognised-shape": "invalid",
+  "invalid-json": "invalid",
+};
+
+function countIngest(field, n = 1) {
+  const minute = Math.floor(Date.now() / 60000) * 60000;
+  const m = ingestMinutes.get(minute) || { items: 0, rejected: 0, skipped: 0 };
+  m[field] += n;
+  ingestMinutes.set(minute, m);
+}
+
+// Items and rejections seen in [fromMs, toMs)
+function ingestTotals(fromMs, toMs) {
+  const out = { items: 0, rejected: 0, skipped: 0 };
+  for (const [minute, m] of ingestMinutes) {
+    if (minute < fromMs || minute >= toMs) continue;
+    out.items += m.items;
+    out.rejected += m.rejected;
+    out.skipped += m.skipped;
+  }
+  return out;
+}
+
+function quarantineItem(route, v, reason, kind) {
+  let item;
+  try { item = JSON.stringify(v.item); } catch { item = String(v.item); }
+  if (item && item.length > QUARANTINE_ITEM_MAX_CHARS) item = item.slice(0, QUARANTINE_ITEM_MAX_CHARS) + "…";
+
+  quarantine.unshift({
+    at: new Date().toISOString(),
+    route,
+    kind,
+    reason,
+    detail: v.detail || null,
+    index: v.index ?? null,
+    callsign: v.callsign ? normKey(v.callsign) : null,
+    item,
+  });
+  if (quarantine.length > INGEST_QUARANTINE_SIZE) quarantine.length = INGEST_QUARANTINE_SIZE;
+
+  const k = `${route} ${reason}`;
+  quarantineCounts.set(k, (quarantineCounts.get(k) || 0) + 1);
+}
+
+// One webhook call: collects per-item outcomes and the summary counts
+function startIngestBatch(route) {
+  const items = [];
+  const skipped = { older: 0, noCallsign: 0, invalid: 0, badTimestamp: 0 };
+  let updates = 0;
+
+  const note = (v, outcome, reason, kind) => {
+    items.push({ index: v.index, callsign: v.callsign ? normKey(v.callsign) : null, outcome, ...(reason ? { reason } : {}) });
+    if (reason) {
+      skipped[SKIPPED_KEYS[reason] || "invalid"]++;
+      quarantineItem(route, v, reason, kind);
+    }
+    countIngest("items");
+  };
+
+  return {
+    applied(v) {
+      updates++;
+      note(v, "applied");
+    },
+    skip(v, reason) {
+      note(v, "skipped", reason, "skipped");
+      countIngest("skipped");
+    },
+    reject(v) {
+      note(v, "rejected", v.reason, "rejected");
+      countIngest("rejected");
+    },
+    // Summary for the response; also hands the outcome to capture/metrics
+    finish(res) {
+      if (updates > 0) scheduleAlertEvaluation();
+      const result = { updates, skipped, items };
+      res.locals.webhookOutcome = { updates, skipped };
+      return result;
+    },
+  };
+}
+
+// Bodies express.json could not parse never reach the handlers. They are
+// authenticated on the raw bytes first, so only a caller holding the secret
+// can fill the quarantine or move the rejectionRate alert.
+app.use(webhookParseErrors({
+  routes: WEBHOOK_ROUTES,
+  checkAuth: checkWebhookAuth,
+  observe: (req, res) => { observeWebhook(req, res); captureWebhook(req, res); },
+  onInvalid: (req, res, route, err) => {
+    const raw = req.rawBody ? req.rawBody.toString("utf8") : "";
+    quarantineItem(route, { item: raw, detail: err.message, index: null }, "invalid-json", "rejected");
+    countIngest("items");
+    countIngest("rejected");
+    res.locals.invalidJson = true;
+    console.warn(`Webhook rejected: route=${route} reason=invalid-json ip=${req.ip}`);
+    res.status(400).json({ ok: false, error: "Invalid JSON", items: [] });
+  },
+}));
+
+app.get("/api/ingest/schemas", (_req, res) => res.json(WEBHOOK_SCHEMAS));
+
+// ?route=Status&reason=no-callsign&limit=100
+app.get("/api/ingest/rejections", requireAdmin, (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, INGEST_QUARANTINE_SIZE);
+  const rows = quarantine
+    .filter(q => !req.query.route || q.route === req.query.route)
+    .filter(q => !req.query.reason || q.reason === req.query.reason)
+    .slice(0, limit);
+
+  const counts = {};
+  for (const [k, n] of quarantineCounts) {
+    const [route, reason] = k.split(" ");
+    (counts[route] ||= {})[reason] = n;
+  }
+
+  const now = Date.now();
+  res.json({
+    counts,
+    lastHour: ingestTotals(now - 60 * 60 * 1000, now + 60000),
+    capacity: INGEST_QUARANTINE_SIZE,
+    rejections: rows,
+    ts: new Date(now).toISOString(),
+  });
+});
+
+// Keep two hours of per-minute counts (the alert baseline needs one)
+setInterval(() => {
+  const cutoff = Date.now() - 2 * 60 * 60 * 1000;
+  for (const minute of ingestMinutes.keys()) if (minute < cutoff) ingestMinutes.delete(minute);
+}, 5 * 60 * 1000);
+
+// A merged record (webhook or reconciler): rank queues, store, history, SSE.
+// source is the history journal's source tag.
+function commitMerged(key, rec, ts, source) {
+  const changedRanks = applyRankMembership(rec, ts);
+  setRecord(key, rec);
+  lastOnlineState.set(key, computeOnline(rec));
+  appendHistory(key, rec, source);
+  broadcastStatus(key, rec);
+  broadcastRanks(changedRanks);
+}
+
+// ---------- HackneyLocation: ping + position (can mark online) ----------
+app.post("/webhook/HackneyLocation", (req, res) => {
   try {
-    if (!checkWebhookAuth(req, res)) return;
+    if (!checkWebhookAuth(req, res, "HackneyLocation")) return;
 
-    lastShiftChangePayload = req.body;
-    debugLog("WEBHOOK HIT: ShiftChange", req.body);
+    lastHackneyLocationPayload = req.body;
+    debugLog("WEBHOOK HIT: HackneyLocation", req.body);
 
-    const items = coercePayloadToArray(req.body);
-    let updates = 0;
+    const batch = startIngestBatch("HackneyLocation");
 
-    for (const item of items) {
-      if (!item || typeof item !== "object") continue;
+    for (const v of validateWebhook("HackneyLocation", req.body)) {
+      if (!v.ok) { batch.reject(v); continue; }
+      const item = v.item;
+      const key = normKey(v.callsign);
+      const ts = v.timestamp;
 
-      const vehicle = item.Vehicle || {};
-      const driver  = item.Driver  || {};
+      const pos = extractPosition(item);
+      const merged = mergeEvent(onlineMap.get(key), {
+        source: "heartbeat", ts, tsDefaulted: v.timestampDefaulted, position: pos,
+      }, { shiftEndGraceMs: SHIFT_END_GRACE_MS });
+      if (!merged.applied) { batch.skip(v, merged.reason); continue; }
+      const rec = merged.rec;
 
-      const cs =
-        vehicle.Callsign ||
-        driver.Callsign ||
-        extractCallsignGeneric(item) ||
-        null;
-      if (!cs) continue;
+      commitMerged(key, rec, ts, "HackneyLocation");
+      batch.applied(v);
+      if (pos) broadcastPosition(key, rec);
+    }
+
+    res.json({ ok: true, ...batch.finish(res) });
+  } catch (e) {
+    console.error("HackneyLocation error:", e);
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+// ---------- Status: VehicleTracksChanged ----------
+app.post("/webhook/Status", (req, res) => {
+  try {
+    if (!checkWebhookAuth(req, res, "Status")) return;
+
+    lastStatusPayload = req.body;
+    debugLog("WEBHOOK HIT: Status / VehicleTracks", req.body);
 
-      const key = normKey(cs);
+    const batch = startIngestBatch("Status");
 
-      const ts =
-        item.Timestamp ||
-        item.timestamp ||
-        item.ModifiedDate ||
-        item.EventTime ||
-        new Date().toISOString();
+    for (const v of validateWebhook("Status", req.body)) {
+      if (!v.ok) { batch.reject(v); continue; }
+      const track = v.item;
+      const key = normKey(v.callsign);
+      const ts  = v.timestamp;
+
+      const rawCode = track.VehicleStatus || track.vehicleStatus || null;
+      const label   = vehicleStatusLabel(rawCode);
+      noteStatusCode(rawCode, key);
+
+      // A status track also counts as a heartbeat and (usually) as on shift; see merge.js
+      const merged = mergeEvent(onlineMap.get(key), {
+        source: "status", ts, tsDefaulted: v.timestampDefaulted, code: rawCode, label,
+      }, { shiftEndGraceMs: SHIFT_END_GRACE_MS });
+      if (!merged.applied) { batch.skip(v, merged.reason); continue; }
+
+      commitMerged(key, merged.rec, ts, "Status");
+      batch.applied(v);
+    }
+
+    const result = batch.finish(res);
+    if (result.updates > 0) {
+      console.log(`Status webhook: updated ${result.updates} tracks`);
+    }
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error("Status webhook error:", e);
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+// ---------- ShiftChange: logon/logoff ----------
+app.post("/webhook/ShiftChange", (req, res) => {
+  try {
+    if (!checkWebhookAuth(req, res, "ShiftChange")) return;
+
+    lastShiftChangePayload = req.body;
+    debugLog("WEBHOOK HIT: ShiftChange", req.body);
+
+    const batch = startIngestBatch("ShiftChange");
+
+    for (const v of validateWebhook("ShiftChange", req.body)) {
+      if (!v.ok) { batch.reject(v); continue; }
+      const item = v.item;
+      const key = normKey(v.callsign);
+      const ts = v.timestamp;
 
       const rawStatus =
         item.ShiftStatus ??
@@ -529,45 +1583,26 @@ app.post("/webhook/ShiftChange", (req, res) => {
         }
       }
 
-      const existing = onlineMap.get(key) || {};
-
-      // Only update if newer
-      if (!isNewerTimestamp(ts, existing.updatedAt || null)) continue;
-
-      let rec = {
-        ...existing,
-        updatedAt: ts,
-        lastPingAt: existing.lastPingAt || null,
-        driverStatusLabel: label ?? existing.driverStatusLabel ?? existing.driverStatus ?? null,
-        driverStatusCode: existing.driverStatusCode ?? null,
-        explicitOnline: existing.explicitOnline ?? null,
-      };
-      rec.driverStatus = rec.driverStatusLabel;
-
-      if (explicit === true) {
-        rec.explicitOnline = true;
-        rec.lastPingAt = ts;
-      } else if (explicit === false) {
-        rec.explicitOnline = false;
-        rec.lastPingAt = null;
-      }
+      // Only compared against the shift watermark, so a late logoff still lands
+      const merged = mergeEvent(onlineMap.get(key), {
+        source: "shift", ts, tsDefaulted: v.timestampDefaulted, shiftOn: explicit, shiftLabel: label,
+      }, { shiftEndGraceMs: SHIFT_END_GRACE_MS });
+      if (!merged.applied) { batch.skip(v, merged.reason); continue; }
+      const rec = merged.rec;
 
-      onlineMap.set(key, rec);
-      lastOnlineState.set(key, computeOnline(rec));
-      updates++;
-      broadcastStatus(key, rec);
+      commitMerged(key, rec, ts, "ShiftChange");
+      batch.applied(v);
 
       console.log(
         `ShiftChange: callsign=${key} ts=${ts} rawStatus=${rawStatus} eventType=${eventType} subType=${subType} explicitOnline=${rec.explicitOnline} driverStatus=${rec.driverStatusLabel}`
       );
     }
 
-    if (updates > 0) {
-      console.log(`ShiftChange webhook: updated ${updates} vehicles`);
-      saveStatusToDisk();
+    const result = batch.finish(res);
+    if (result.updates > 0) {
+      console.log(`ShiftChange webhook: updated ${result.updates} vehicles`);
     }
-
-    res.json({ ok: true, updates });
+    res.json({ ok: true, ...result });
   } catch (e) {
     console.error("ShiftChange webhook error:", e);
     res.status(400).json({ ok: false, error: e.message });
@@ -599,79 +1634,1133 @@ app.get("/debug/last-shiftchange", (_req, res) => {
   });
 });
 
-// ---------- Public API ----------
-app.get("/api/status", (_req, res) => {
-  const arr = Array.from(onlineMap.entries()).map(([k, v]) => statusPayload(k, v));
-  res.json({ data: arr, count: arr.length, ts: new Date().toISOString() });
+// Rejected webhook calls by route and reason since startup
+app.get("/debug/webhook-auth", (_req, res) => {
+  res.json({
+    timestamp: new Date().toISOString(),
+    rejections: Object.fromEntries(webhookRejections),
+    hmac: Object.fromEntries(WEBHOOK_ROUTES.map(r => [r, webhookSecretsFor(r).length])),
+    token: !!WEBHOOK_TOKEN,
+  });
 });
 
-// Proxy vehicles from Autocab (and ensure isSuspended is always present/boolean)
-app.get("/api/vehicles", async (_req, res) => {
-  try {
-    if (!AUTOCAB_KEY) {
-      return res.status(500).json({ error: "Missing AUTOCAB_KEY in .env" });
-    }
+// ---------- Vehicle cache ----------
+/**
+ * One refresh loop per server, not per dashboard. Every VEHICLE_REFRESH_MS we
+ * pull the Autocab vehicle list; on failure we back off exponentially (capped
+ * at VEHICLE_BACKOFF_MAX_MS) and keep serving the last good list as stale.
+ */
+const vehicleCache = {
+  body: null,          // serialized JSON served to clients
+  etag: null,
+  lastModified: null,  // HTTP date of the last content change
+  fetchedAtMs: 0,      // last successful upstream fetch
+  count: 0,
+  stale: false,
+  lastError: null,
+  lastErrorAtMs: 0,
+  failures: 0,
+  nextRefreshAtMs: 0,
+};
+let vehicleRefreshInFlight = null;
+// callsign -> vehicle from the last good list (isSuspended etc. for server-side logic)
+let vehicleIndex = new Map();
+let vehicleRefreshTimer = null;
+
+function vehicleCacheStatus() {
+  const now = Date.now();
+  return {
+    cached: !!vehicleCache.body,
+    count: vehicleCache.count,
+    stale: vehicleCache.stale,
+    fetchedAt: vehicleCache.fetchedAtMs ? new Date(vehicleCache.fetchedAtMs).toISOString() : null,
+    ageSeconds: vehicleCache.fetchedAtMs ? Math.floor((now - vehicleCache.fetchedAtMs) / 1000) : null,
+    lastError: vehicleCache.lastError,
+    lastErrorAt: vehicleCache.lastErrorAtMs ? new Date(vehicleCache.lastErrorAtMs).toISOString() : null,
+    failures: vehicleCache.failures,
+    nextRefreshAt: vehicleCache.nextRefreshAtMs ? new Date(vehicleCache.nextRefreshAtMs).toISOString() : null,
+    refreshMs: VEHICLE_REFRESH_MS,
+  };
+}
+
+// Ensure isSuspended is always present/boolean, keeping the upstream envelope
+function normalizeVehicles(data) {
+  const list =
+    Array.isArray(data) ? data :
+    Array.isArray(data?.items) ? data.items :
+    Array.isArray(data?.results) ? data.results :
+    Array.isArray(data?.vehicles) ? data.vehicles :
+    Array.isArray(data?.data) ? data.data :
+    null;
+
+  if (!Array.isArray(list)) return { body: data, count: 0, list: [] };
+
+  const normalized = list.map(v => ({
+    ...v,
+    isSuspended: v?.isSuspended === true,
+  }));
 
-    const url = "https://autocab-api.azure-api.net/vehicle/v1/vehicles";
-    const r = await fetch(url, {
+  const out = { count: normalized.length, list: normalized };
+  // A bare array has nowhere to carry the stale marker, so it is wrapped as { items }
+  if (Array.isArray(data))           return { ...out, body: { items: normalized } };
+  if (Array.isArray(data?.items))    return { ...out, body: { ...data, items: normalized } };
+  if (Array.isArray(data?.results))  return { ...out, body: { ...data, results: normalized } };
+  if (Array.isArray(data?.vehicles)) return { ...out, body: { ...data, vehicles: normalized } };
+  return { ...out, body: { ...data, data: normalized } };
+}
+
+// The body (and so the ETag) changes only with the list or the stale flag, so an
+// unchanged list polled across refreshes still gets 304. How old the list is
+// travels in the Age header; fetchedAt is in the body only while stale, when
+// it stays put until Autocab is back.
+function setVehicleCacheBody(body, stale) {
+  const json = JSON.stringify(stale
+    ? { ...body, stale, fetchedAt: new Date(vehicleCache.fetchedAtMs).toISOString() }
+    : { ...body, stale });
+  const etag = `"${crypto.createHash("sha1").update(json).digest("base64url")}"`;
+  if (etag !== vehicleCache.etag) {
+    vehicleCache.etag = etag;
+    vehicleCache.lastModified = new Date().toUTCString();
+  }
+  vehicleCache.body = json;
+  vehicleCache.stale = stale;
+}
+
+async function fetchVehiclesUpstream() {
+  const url = `${AUTOCAB_BASE_URL}/vehicle/v1/vehicles`;
+  const done = upstreamDuration.startTimer();
+  let r;
+  try {
+    r = await fetch(url, {
       headers: {
         "Ocp-Apim-Subscription-Key": AUTOCAB_KEY,
         "Cache-Control": "no-cache",
       },
     });
+  } catch (e) {
+    done({ endpoint: "vehicles" });
+    upstreamRequests.inc({ endpoint: "vehicles", outcome: "network-error" });
+    throw e;
+  }
+  done({ endpoint: "vehicles" });
+
+  if (!r.ok) {
+    upstreamRequests.inc({ endpoint: "vehicles", outcome: "http-error" });
+    const txt = await r.text().catch(() => "");
+    throw new Error(`HTTP ${r.status} ${txt || r.statusText}`.trim());
+  }
+  upstreamRequests.inc({ endpoint: "vehicles", outcome: "ok" });
+  return r.json();
+}
 
-    if (!r.ok) {
-      const txt = await r.text().catch(() => "");
-      console.error("Upstream /vehicles error:", r.status, txt);
-      return res.status(r.status).send(txt || `Upstream error: ${r.statusText}`);
+function scheduleVehicleRefresh() {
+  clearTimeout(vehicleRefreshTimer);
+  const delay = vehicleCache.failures
+    ? Math.min(VEHICLE_BACKOFF_MAX_MS, VEHICLE_BACKOFF_BASE_MS * 2 ** (vehicleCache.failures - 1))
+    : VEHICLE_REFRESH_MS;
+  vehicleCache.nextRefreshAtMs = Date.now() + delay;
+  vehicleRefreshTimer = setTimeout(() => refreshVehicles({ reschedule: true }), delay);
+}
+
+// Concurrent callers share one upstream request
+function refreshVehicles({ reschedule = false } = {}) {
+  if (!AUTOCAB_KEY) return Promise.resolve();
+  if (!vehicleRefreshInFlight) {
+    vehicleRefreshInFlight = (async () => {
+      try {
+        const data = await fetchVehiclesUpstream();
+        const { body, count, list } = normalizeVehicles(data);
+        vehicleIndex = new Map();
+        for (const v of list) {
+          const cs = extractCallsignGeneric(v);
+          if (cs) vehicleIndex.set(normKey(cs), v);
+        }
+        vehicleCache.fetchedAtMs = Date.now();
+        vehicleCache.count = count;
+        vehicleCache.failures = 0;
+        vehicleCache.lastError = null;
+        setVehicleCacheBody(body, false);
+      } catch (e) {
+        vehicleCache.failures++;
+        vehicleCache.lastError = e.message;
+        vehicleCache.lastErrorAtMs = Date.now();
+        console.error(`Upstream /vehicles error (failure ${vehicleCache.failures}):`, e.message);
+        if (vehicleCache.body && !vehicleCache.stale) {
+          setVehicleCacheBody(JSON.parse(vehicleCache.body), true);
+        }
+      } finally {
+        vehicleRefreshInFlight = null;
+      }
+    })();
+  }
+  return vehicleRefreshInFlight.then(() => { if (reschedule) scheduleVehicleRefresh(); });
+}
+
+// ---------- Autocab reconciliation ----------
+/**
+ * Every RECONCILE_INTERVAL_SECONDS the leader pulls current tracks and active
+ * shifts from Autocab (see reconcile.js) and applies corrections through
+ * mergeEvent, so they obey the same watermarks as webhooks. Each correction
+ * is counted, logged and journalled with source "reconcile". Point
+ * AUTOCAB_BASE_URL at a mock (or use SIMULATOR=1) to exercise it locally.
+ */
+const RECONCILE_INTERVAL_MS = Number(process.env.RECONCILE_INTERVAL_SECONDS ?? 300) * 1000;
+
+const reconcileCorrections = metrics.counter("hackney_reconcile_corrections_total", "Records corrected by the Autocab reconciler", ["reason"]);
+const reconciler = createReconciler({
+  baseUrl: AUTOCAB_BASE_URL,
+  key: AUTOCAB_KEY,
+  tracksPath: process.env.AUTOCAB_TRACKS_PATH ?? "/vehicle/v1/vehicletracks",
+  shiftsPath: process.env.AUTOCAB_SHIFTS_PATH ?? "/driver/v1/shifts/active",
+  onRequest: (endpoint, outcome, elapsedMs) => {
+    upstreamRequests.inc({ endpoint, outcome });
+    upstreamDuration.observe({ endpoint }, elapsedMs / 1000);
+  },
+});
+
+let lastReconcile = null;
+let reconcileInFlight = null;
+
+async function reconcileOnce() {
+  const snapshot = await reconciler.fetchSnapshot();
+  const plan = planCorrections(onlineMap, snapshot, { labelFor: vehicleStatusLabel });
+  const counts = {};
+  const applied = [];
+
+  for (const c of plan) {
+    const merged = mergeEvent(onlineMap.get(c.callsign), c.event, { shiftEndGraceMs: SHIFT_END_GRACE_MS });
+    if (!merged.applied) continue;
+    if (c.event.code) noteStatusCode(c.event.code, c.callsign);
+    commitMerged(c.callsign, merged.rec, c.event.ts, "reconcile");
+    counts[c.reason] = (counts[c.reason] || 0) + 1;
+    reconcileCorrections.inc({ reason: c.reason });
+    applied.push({ callsign: c.callsign, reason: c.reason, detail: c.detail });
+    console.log(`Reconcile: ${c.callsign} ${c.reason} (${c.detail})`);
+  }
+  if (applied.length) scheduleAlertEvaluation();
+
+  for (const [list, err] of Object.entries(snapshot.errors)) console.warn(`Reconcile: ${list} unavailable: ${err}`);
+  console.log(`Reconcile: ${applied.length} correction(s)${applied.length ? " " + JSON.stringify(counts) : ""}`);
+
+  lastReconcile = {
+    at: snapshot.fetchedAt,
+    tracks: snapshot.tracks ? snapshot.tracks.length : null,
+    shifts: snapshot.shifts ? snapshot.shifts.size : null,
+    errors: snapshot.errors,
+    corrections: counts,
+    applied,
+  };
+  return lastReconcile;
+}
+
+// Concurrent callers share one run
+function runReconcile() {
+  if (!reconcileInFlight) {
+    reconcileInFlight = reconcileOnce()
+      .catch(e => {
+        console.error("Reconcile failed:", e.message);
+        lastReconcile = { at: new Date().toISOString(), error: e.message };
+        return lastReconcile;
+      })
+      .finally(() => { reconcileInFlight = null; });
+  }
+  return reconcileInFlight;
+}
+
+if (AUTOCAB_KEY && RECONCILE_INTERVAL_MS > 0) {
+  setInterval(() => {
+    if (sharedState.isLeader()) runReconcile();
+  }, RECONCILE_INTERVAL_MS);
+}
+
+app.get("/api/reconcile", requireAdmin, (_req, res) => {
+  res.json({
+    enabled: !!AUTOCAB_KEY && RECONCILE_INTERVAL_MS > 0,
+    intervalSeconds: RECONCILE_INTERVAL_MS / 1000,
+    lastRun: lastReconcile,
+  });
+});
+
+app.post("/api/reconcile/run", requireAdmin, async (_req, res) => {
+  if (!AUTOCAB_KEY) return res.status(500).json({ ok: false, error: "Missing AUTOCAB_KEY in .env" });
+  res.json({ ok: true, ...(await runReconcile()) });
+});
+
+// ---------- Alerts ----------
+// Rules from ALERTS_FILE (see alerts.js), re-evaluated shortly after each
+// webhook batch and on every timeout sweep. Active alerts and cooldowns are
+// kept in the store, so a restart does not re-send what is already standing.
+let alertEngine = null;
+try {
+  const cfg = loadAlertConfig(ALERTS_FILE);
+  if (cfg) {
+    alertEngine = createAlertEngine({
+      ...cfg,
+      onChange: broadcastAlert,
+      canNotify: () => sharedState.isLeader(),
+      persist: {
+        load: () => store.getMeta("alerts"),
+        save: (state) => store.setMeta("alerts", state),
+      },
+    });
+    console.log(`Loaded ${cfg.rules.length} alert rule(s) from ${ALERTS_FILE}`);
+  }
+} catch (e) {
+  console.warn("loadAlertConfig failed:", e.message);
+}
+
+function evaluateAlerts() {
+  if (!alertEngine) return;
+  const vehicles = Array.from(onlineMap.entries()).map(([cs, rec]) => ({
+    callsign: cs,
+    rec,
+    online: computeOnline(rec),
+    code: rec.driverStatusCode || null,
+    suspended: vehicleIndex.get(cs)?.isSuspended === true,
+    override: activeOverride(rec)?.kind || null,
+    statusSinceMs: Date.parse(rec.statusSince || ""),
+  }));
+  alertEngine.evaluate(vehicles, Date.now(), { ingestTotals });
+}
+
+let alertEvalTimer = null;
+function scheduleAlertEvaluation() {
+  if (!alertEngine || alertEvalTimer) return;
+  alertEvalTimer = setTimeout(() => {
+    alertEvalTimer = null;
+    evaluateAlerts();
+  }, 1000);
+}
+
+app.get("/api/alerts", (_req, res) => {
+  const { active, recent } = alertEngine ? alertEngine.list() : { active: [], recent: [] };
+  res.json({ enabled: !!alertEngine, active, recent, ts: new Date().toISOString() });
+});
+
+// ---------- Watchlists & push ----------
+/**
+ * Users star callsigns into a watchlist kept in WATCHLISTS_FILE (see
+ * watchlists.js): per user when signed in (session or API key), otherwise per
+ * browser, keyed by a random id the server issues in an HttpOnly cookie
+ * (DEVICE_COOKIE) so another client cannot name it. A change of a watched callsign's
+ * effective status (statusSince moves) is pushed with Web Push when VAPID
+ * keys are set (generate with: npx web-push generate-vapid-keys); without
+ * them the board falls back to the Notification API while it is open.
+ * With several instances only the leader pushes, so WATCHLISTS_FILE must be
+ * on storage they share.
+ */
+const pushSent = metrics.counter("hackney_push_sent_total", "Web Push notifications by outcome", ["outcome"]);
+
+const watchlists = createWatchlists({
+  file: WATCHLISTS_FILE,
+  vapid: {
+    publicKey: process.env.VAPID_PUBLIC_KEY || "",
+    privateKey: process.env.VAPID_PRIVATE_KEY || "",
+    subject: process.env.VAPID_SUBJECT || "",
+  },
+  canNotify: () => sharedState.isLeader(),
+  onPush: (outcome) => pushSent.inc({ outcome }),
+});
+if (!watchlists.pushEnabled) console.log("Web Push off (no VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY)");
+
+// callsign -> { since, status } last seen, so pings do not push
+const watchedStatus = new Map();
+for (const [cs, rec] of onlineMap) {
+  const p = statusPayload(cs, rec);
+  watchedStatus.set(cs, { since: p.statusSince, status: p.driverStatus });
+}
+
+const statusText = (p) => p.online ? (statusCodeInfo(p.driverStatusCode)?.label || p.driverStatus || "Online") : "Offline";
+
+function notifyWatchers(payload) {
+  const prev = watchedStatus.get(payload.callsign);
+  const now = { since: payload.statusSince, status: statusText(payload) };
+  watchedStatus.set(payload.callsign, now);
+  if (!prev || prev.since === now.since || !watchlists.watched(payload.callsign)) return;
+  watchlists.notify({
+    callsign: payload.callsign,
+    title: `${payload.callsign} · ${now.status}`,
+    body: `Was ${prev.status}`,
+    code: payload.driverStatusCode,
+    online: payload.online,
+    ts: payload.statusSince || new Date().toISOString(),
+    url: `${BASE_PATH}/?filter=watched`,
+  });
+}
+
+const DEVICE_COOKIE = "hs_device";
+const DEVICE_COOKIE_MAX_AGE_SEC = 400 * 24 * 60 * 60;
+
+function watchlistOwner(req, res) {
+  if (req.user?.via === "session" || req.user?.via === "api-key") return `user:${req.user.username}`;
+  let id = parseCookies(req.headers.cookie)[DEVICE_COOKIE];
+  if (!/^[A-Za-z0-9_-]{32}$/.test(id || "")) {
+    id = crypto.randomBytes(24).toString("base64url");
+    res.append("Set-Cookie", sessionCookie(req, id, DEVICE_COOKIE_MAX_AGE_SEC, DEVICE_COOKIE));
+  }
+  return `device:${id}`;
+}
+
+function withOwner(handler) {
+  return (req, res) => {
+    const owner = watchlistOwner(req, res);
+    try {
+      handler(owner, req, res);
+    } catch (e) {
+      res.status(400).json({ ok: false, error: e.message });
     }
+  };
+}
 
-    const data = await r.json();
+const watchlistBody = (owner) => ({
+  ok: true,
+  owner: owner.split(":")[0],
+  ...watchlists.get(owner),
+  push: { enabled: watchlists.pushEnabled, publicKey: watchlists.publicKey },
+});
 
-    const list =
-      Array.isArray(data) ? data :
-      Array.isArray(data?.items) ? data.items :
-      Array.isArray(data?.results) ? data.results :
-      Array.isArray(data?.vehicles) ? data.vehicles :
-      Array.isArray(data?.data) ? data.data :
-      null;
+app.get("/api/watchlist", withOwner((owner, _req, res) => res.json(watchlistBody(owner))));
+
+// Body: { callsigns: [...] } replaces the whole list
+app.put("/api/watchlist", withOwner((owner, req, res) => {
+  if (!Array.isArray(req.body?.callsigns)) return res.status(400).json({ ok: false, error: "callsigns must be an array" });
+  watchlists.setCallsigns(owner, req.body.callsigns);
+  res.json(watchlistBody(owner));
+}));
+
+app.put("/api/watchlist/:callsign", withOwner((owner, req, res) => {
+  watchlists.add(owner, req.params.callsign);
+  res.json(watchlistBody(owner));
+}));
+
+app.delete("/api/watchlist/:callsign", withOwner((owner, req, res) => {
+  watchlists.remove(owner, req.params.callsign);
+  res.json(watchlistBody(owner));
+}));
+
+// Body: { subscription: PushSubscription.toJSON() }
+app.post("/api/push/subscriptions", withOwner((owner, req, res) => {
+  if (!watchlists.pushEnabled) return res.status(503).json({ ok: false, error: "Web Push is not configured" });
+  watchlists.subscribe(owner, req.body?.subscription);
+  res.json(watchlistBody(owner));
+}));
+
+// Body: { endpoint }
+app.delete("/api/push/subscriptions", withOwner((owner, req, res) => {
+  watchlists.unsubscribe(owner, String(req.body?.endpoint || ""));
+  res.json(watchlistBody(owner));
+}));
+
+// ---------- Dispatcher overrides ----------
+/**
+ * Admins can force a callsign offline, mark it On Break or Held, or just pin
+ * a note, optionally until expiresAt. The override lives on the record
+ * (rec.override) so it persists and replicates like everything else; once
+ * expired it is ignored at once and removed by the next sweep. Every set,
+ * clear and expiry is appended to AUDIT_FILE.
+ */
+const OVERRIDE_KINDS = {
+  offline: { label: "Forced offline", status: null },
+  break:   { label: "On Break",       status: "On Break" },
+  held:    { label: "Held",           status: "Held" },
+  note:    { label: "Note",           status: null },
+};
+
+function activeOverride(rec) {
+  const o = rec?.override;
+  if (!o || !OVERRIDE_KINDS[o.kind]) return null;
+  if (o.expiresAt && Date.parse(o.expiresAt) <= Date.now()) return null;
+  return o;
+}
 
-    if (Array.isArray(list)) {
-      const normalized = list.map(v => ({
-        ...v,
-        isSuspended: v?.isSuspended === true,
-      }));
+// On Break / Held cars are online but must not be offered work off a rank
+function overrideBlocksQueue(rec) {
+  const kind = activeOverride(rec)?.kind;
+  return kind === "break" || kind === "held";
+}
+
+function audit(action, callsign, override, by, extra = {}) {
+  const entry = { at: new Date().toISOString(), action, callsign, by, override: override || null, ...extra };
+  try {
+    fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + "\n", "utf8");
+  } catch (e) {
+    console.warn("audit write failed:", e.message);
+  }
+  console.log(`AUDIT ${action}: callsign=${callsign} by=${by}${override ? ` kind=${override.kind}` : ""}`);
+}
 
-      if (Array.isArray(data)) return res.json(normalized);
+function readAudit({ callsign = null, limit = 200 } = {}) {
+  if (!fs.existsSync(AUDIT_FILE)) return [];
+  const out = [];
+  const lines = fs.readFileSync(AUDIT_FILE, "utf8").split("\n");
+  for (let i = lines.length - 1; i >= 0 && out.length < limit; i--) {
+    if (!lines[i]) continue;
+    try {
+      const e = JSON.parse(lines[i]);
+      if (!callsign || e.callsign === callsign) out.push(e);
+    } catch {}
+  }
+  return out;
+}
+
+// Write a record whose override changed and tell everyone
+function commitOverrideChange(callsign, rec) {
+  const changedRanks = applyRankMembership(rec);
+  setRecord(callsign, rec);
+  lastOnlineState.set(callsign, computeOnline(rec));
+  appendHistory(callsign, rec, "override", new Date().toISOString());
+  broadcastStatus(callsign, rec);
+  broadcastRanks(changedRanks);
+}
+
+function expireOverrides() {
+  const now = Date.now();
+  for (const [cs, rec] of onlineMap) {
+    const o = rec.override;
+    if (!o?.expiresAt || Date.parse(o.expiresAt) > now) continue;
+    const next = { ...rec };
+    delete next.override;
+    audit("expired", cs, o, "system");
+    commitOverrideChange(cs, next);
+  }
+}
+
+app.get("/api/overrides", (_req, res) => {
+  const data = [];
+  for (const [cs, rec] of onlineMap) {
+    const o = activeOverride(rec);
+    if (o) data.push({ callsign: cs, ...o, label: OVERRIDE_KINDS[o.kind].label });
+  }
+  res.json({ data, kinds: Object.keys(OVERRIDE_KINDS), ts: new Date().toISOString() });
+});
+
+// Body: { kind: offline|break|held|note, note?, expiresInMinutes? | expiresAt? }
+app.put("/api/overrides/:callsign", requireAdmin, (req, res) => {
+  const key = normKey(req.params.callsign);
+  const { kind, note, expiresInMinutes, expiresAt } = req.body || {};
+  if (!key) return res.status(400).json({ ok: false, error: "callsign required" });
+  if (!OVERRIDE_KINDS[kind]) {
+    return res.status(400).json({ ok: false, error: `kind must be one of ${Object.keys(OVERRIDE_KINDS).join(", ")}` });
+  }
+  const noteText = note == null ? "" : String(note).trim().slice(0, 500);
+  if (kind === "note" && !noteText) return res.status(400).json({ ok: false, error: "note required" });
+
+  let expires = null;
+  if (expiresInMinutes !== undefined && expiresInMinutes !== null && expiresInMinutes !== "") {
+    const mins = Number(expiresInMinutes);
+    if (!(mins > 0)) return res.status(400).json({ ok: false, error: "expiresInMinutes must be > 0" });
+    expires = new Date(Date.now() + mins * 60000).toISOString();
+  } else if (expiresAt) {
+    const t = Date.parse(expiresAt);
+    if (!Number.isFinite(t) || t <= Date.now()) return res.status(400).json({ ok: false, error: "expiresAt must be a future date" });
+    expires = new Date(t).toISOString();
+  }
+
+  const override = {
+    kind,
+    note: noteText || null,
+    setBy: req.user?.username || "unknown",
+    setAt: new Date().toISOString(),
+    expiresAt: expires,
+  };
+  const prev = onlineMap.get(key);
+  const rec = { ...(prev || {}), override };
+
+  audit("set", key, override, override.setBy, { replaced: activeOverride(prev) || null, ip: req.ip });
+  commitOverrideChange(key, rec);
+  res.json({ ok: true, callsign: key, status: statusPayload(key, rec) });
+});
+
+app.delete("/api/overrides/:callsign", requireAdmin, (req, res) => {
+  const key = normKey(req.params.callsign);
+  const prev = onlineMap.get(key);
+  if (!prev?.override) return res.status(404).json({ ok: false, error: "No override for " + key });
+
+  const rec = { ...prev };
+  delete rec.override;
+  audit("cleared", key, prev.override, req.user?.username || "unknown", { ip: req.ip });
+  commitOverrideChange(key, rec);
+  res.json({ ok: true, callsign: key, status: statusPayload(key, rec) });
+});
+
+// ?callsign=214&limit=200
+app.get("/api/overrides/audit", requireAdmin, (req, res) => {
+  const callsign = req.query.callsign ? normKey(req.query.callsign) : null;
+  const limit = Math.min(Number(req.query.limit) || 200, 5000);
+  res.json({ data: readAudit({ callsign, limit }) });
+});
+
+// ---------- Retention & erasure ----------
+/**
+ * A scheduled job (leader only) archives and removes records that are
+ * offline and either
+ *   - not updated for RETENTION_MAX_AGE_DAYS (reason "max-age"), or
+ *   - missing or inactive in a fresh Autocab vehicle list and not updated for
+ *     a day (reason "not-in-vehicle-list" / "inactive"), with
+ *     RETENTION_PRUNE_INACTIVE on.
+ * Archived records go to ARCHIVE_DIR/records-YYYY-MM.ndjson. The history
+ * journal is left to age out by rotation.
+ *
+ * DELETE /api/callsigns/:callsign erases a callsign everywhere we keep it:
+ * the record, history journal, override audit, archive, quarantine and
+ * watchlists, on every instance. Opt-in raw captures (CAPTURE_DIR) are not
+ * rewritten. A vehicle that keeps sending webhooks gets a new record.
+ */
+const RETENTION_MAX_AGE_MS = Number(process.env.RETENTION_MAX_AGE_DAYS ?? 30) * 24 * 60 * 60 * 1000;
+const RETENTION_PRUNE_INACTIVE = !/^(0|false|no)$/i.test(process.env.RETENTION_PRUNE_INACTIVE || "");
+const RETENTION_INTERVAL_MS = Number(process.env.RETENTION_INTERVAL_MINUTES || 60) * 60 * 1000;
+const RETENTION_INACTIVE_GRACE_MS = 24 * 60 * 60 * 1000;
+
+let lastRetentionRun = null;
+
+// Same rules as the board's isActive()
+function vehicleIsActive(v) {
+  if (typeof v?.isActive === "boolean") return v.isActive;
+  if (typeof v?.active === "boolean") return v.active;
+  if (typeof v?.isArchived === "boolean") return !v.isArchived;
+  if (typeof v?.archived === "boolean") return !v.archived;
+  return true;
+}
+
+// Drop a record from this instance (memory, store, SSE clients, rank queues)
+function forgetRecord(callsign) {
+  const rec = onlineMap.get(callsign);
+  if (!rec) return null;
+  onlineMap.delete(callsign);
+  lastOnlineState.delete(callsign);
+  try { store.remove(callsign); } catch (e) { console.warn(`store remove failed for ${callsign}:`, e.message); }
+  publish("remove", { callsign });
+  if (rec.rank?.id) broadcastRanks([rec.rank.id]);
+  return rec;
+}
+
+function removeRecord(callsign) {
+  const rec = forgetRecord(callsign);
+  if (rec) sharedState.remove(callsign).catch(e => console.warn(`shared remove failed for ${callsign}:`, e.message));
+  return rec;
+}
+
+// Rewrite an NDJSON file without one callsign's lines -> number of lines removed
+function removeCallsignLines(file, callsign) {
+  if (!fs.existsSync(file)) return 0;
+  const lines = fs.readFileSync(file, "utf8").split("\n").filter(Boolean);
+  const kept = lines.filter(line => {
+    try { return JSON.parse(line).callsign !== callsign; } catch { return true; }
+  });
+  if (kept.length === lines.length) return 0;
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, kept.map(l => l + "\n").join(""), "utf8");
+  fs.renameSync(tmp, file);
+  return lines.length - kept.length;
+}
+
+function archiveFiles() {
+  try {
+    return fs.readdirSync(ARCHIVE_DIR).filter(f => f.endsWith(".ndjson")).map(f => path.join(ARCHIVE_DIR, f));
+  } catch {
+    return [];
+  }
+}
+
+// Files and in-memory logs on this instance -> counts of what was removed
+function eraseLocalData(callsign) {
+  const out = { historyLines: 0, auditLines: 0, archiveLines: 0, quarantined: 0, watchlists: 0 };
+  try {
+    for (let n = 0; n <= HISTORY_MAX_FILES; n++) out.historyLines += removeCallsignLines(rotatedHistoryFile(n), callsign);
+    out.auditLines = removeCallsignLines(AUDIT_FILE, callsign);
+    for (const file of archiveFiles()) out.archiveLines += removeCallsignLines(file, callsign);
+    out.watchlists = watchlists.eraseCallsign(callsign);
+  } catch (e) {
+    console.error(`erase of ${callsign} incomplete:`, e.message);
+    out.error = e.message;
+  }
+  for (let i = quarantine.length - 1; i >= 0; i--) {
+    if (quarantine[i].callsign === callsign) {
+      quarantine.splice(i, 1);
+      out.quarantined++;
+    }
+  }
+  out.alerts = alertEngine ? alertEngine.erase(callsign) : 0;
+  // Resuming SSE clients must not be sent it again. The "remove" event stays:
+  // it is what tells them to drop the row.
+  out.sseEvents = sseLog.rewrite((event, data) => {
+    if (event === "rank") {
+      if (!data.queue.some(q => q.callsign === callsign)) return data;
+      const queue = data.queue.filter(q => q.callsign !== callsign).map((q, i) => ({ ...q, position: i + 1 }));
+      return { ...data, queue };
+    }
+    if (event === "alert") return data.alert?.callsign === callsign ? null : data;
+    return event !== "remove" && data.callsign === callsign ? null : data;
+  });
+  for (const seen of unknownStatusCodes.values()) {
+    if (seen.lastCallsign === callsign) seen.lastCallsign = null;
+  }
+  return out;
+}
+
+function retentionCandidates(now) {
+  const listUsable = RETENTION_PRUNE_INACTIVE && vehicleIndex.size > 0 && vehicleCache.fetchedAtMs > 0 && !vehicleCache.stale;
+  const out = [];
+  for (const [cs, rec] of onlineMap) {
+    if (computeOnline(rec)) continue;
+    const t = Date.parse(rec.updatedAt);
+    const age = Number.isFinite(t) ? now - t : Infinity;
+
+    if (RETENTION_MAX_AGE_MS > 0 && age > RETENTION_MAX_AGE_MS) {
+      out.push({ callsign: cs, reason: "max-age" });
+    } else if (listUsable && age > RETENTION_INACTIVE_GRACE_MS) {
+      const v = vehicleIndex.get(cs);
+      if (!v) out.push({ callsign: cs, reason: "not-in-vehicle-list" });
+      else if (!vehicleIsActive(v)) out.push({ callsign: cs, reason: "inactive" });
+    }
+  }
+  return out;
+}
+
+function runRetention() {
+  const now = Date.now();
+  const removed = [];
+  const candidates = retentionCandidates(now);
 
-      if (Array.isArray(data?.items))    return res.json({ ...data, items: normalized });
-      if (Array.isArray(data?.results))  return res.json({ ...data, results: normalized });
-      if (Array.isArray(data?.vehicles)) return res.json({ ...data, vehicles: normalized });
-      if (Array.isArray(data?.data))     return res.json({ ...data, data: normalized });
+  if (candidates.length) {
+    const file = path.join(ARCHIVE_DIR, `records-${new Date(now).toISOString().slice(0, 7)}.ndjson`);
+    try {
+      fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+      fs.appendFileSync(file, candidates.map(c => JSON.stringify({
+        archivedAt: new Date(now).toISOString(),
+        callsign: c.callsign,
+        reason: c.reason,
+        rec: onlineMap.get(c.callsign),
+      }) + "\n").join(""), "utf8");
+    } catch (e) {
+      // Nothing is removed unless it was archived first
+      console.error(`Retention: archive to ${file} failed, nothing removed:`, e.message);
+      lastRetentionRun = { at: new Date(now).toISOString(), error: e.message, removed: [] };
+      return lastRetentionRun;
+    }
 
-      return res.json({ ...data, items: normalized });
+    for (const c of candidates) {
+      const rec = removeRecord(c.callsign);
+      if (!rec) continue;
+      removed.push({ ...c, updatedAt: rec.updatedAt || null });
+      console.log(`Retention: removed ${c.callsign} (${c.reason}, last update ${rec.updatedAt || "never"})`);
     }
+  }
+
+  console.log(`Retention: ${removed.length} record(s) archived and removed, ${onlineMap.size} kept`);
+  lastRetentionRun = { at: new Date(now).toISOString(), removed, kept: onlineMap.size };
+  return lastRetentionRun;
+}
+
+setInterval(() => {
+  if (!sharedState.isLeader()) return;
+  try { runRetention(); } catch (e) { console.error("Retention run failed:", e.message); }
+}, RETENTION_INTERVAL_MS);
+
+app.get("/api/retention", requireAdmin, (_req, res) => {
+  res.json({
+    policy: {
+      maxAgeDays: RETENTION_MAX_AGE_MS / (24 * 60 * 60 * 1000),
+      pruneInactive: RETENTION_PRUNE_INACTIVE,
+      intervalMinutes: RETENTION_INTERVAL_MS / 60000,
+      archiveDir: ARCHIVE_DIR,
+    },
+    pending: retentionCandidates(Date.now()),
+    lastRun: lastRetentionRun,
+  });
+});
+
+app.post("/api/retention/run", requireAdmin, (_req, res) => {
+  res.json({ ok: true, ...runRetention() });
+});
 
-    res.json(data);
+app.delete("/api/callsigns/:callsign", requireAdmin, (req, res) => {
+  const key = normKey(req.params.callsign);
+  if (!key) return res.status(400).json({ ok: false, error: "callsign required" });
+
+  const rec = removeRecord(key);
+  const erased = eraseLocalData(key);
+  sharedState.publish({ type: "erase", callsign: key }).catch(() => {});
+  console.log(`ERASE: callsign=${key} by=${req.user.username} record=${!!rec} ${JSON.stringify(erased)}`);
+  res.json({ ok: true, callsign: key, record: !!rec, ...erased });
+});
+
+// ---------- Public API ----------
+app.get("/api/status", (_req, res) => {
+  const arr = Array.from(onlineMap.entries()).map(([k, v]) => statusPayload(k, v));
+  res.json({ data: arr, count: arr.length, ts: new Date().toISOString() });
+});
+
+// Branding and vehicle filter for the pages (public: the login page needs it)
+app.get("/api/config", (_req, res) => {
+  res.json({
+    brand: { letter: BRAND_LETTER, title: BRAND_TITLE },
+    capability: { id: FLEET_CAPABILITY, name: FLEET_CAPABILITY_NAME },
+    basePath: BASE_PATH,
+  });
+});
+
+// The status-code catalogue, plus codes seen on the feed that it does not know
+app.get("/api/status-codes", (_req, res) => {
+  const unknown = Array.from(unknownStatusCodes.entries()).map(([code, v]) => ({ code, ...v }));
+  res.json({ ...statusCatalogue, unknown });
+});
+
+// Latest known position per callsign (only callsigns that have sent coordinates)
+app.get("/api/positions", (_req, res) => {
+  const arr = [];
+  for (const [k, v] of onlineMap.entries()) {
+    const p = positionPayload(k, v);
+    if (p) arr.push(p);
+  }
+  res.json({ data: arr, count: arr.length, ts: new Date().toISOString() });
+});
+
+// Station ranks and their first-in-first-out queues
+app.get("/api/ranks", (_req, res) => {
+  const arr = ranks.map(r => ({ id: r.id, name: r.name, queued: rankQueue(r.id).length }));
+  res.json({ data: arr, count: arr.length });
+});
+
+app.get("/api/ranks/:id/queue", (req, res) => {
+  const rank = ranks.find(r => r.id === req.params.id);
+  if (!rank) return res.status(404).json({ error: "Unknown rank" });
+  res.json(rankPayload(rank));
+});
+
+// Ordered status transitions for one callsign, from the history journal.
+// Consecutive entries with the same state (e.g. heartbeat pings) are collapsed.
+app.get("/api/status/:callsign/history", async (req, res) => {
+  const key = normKey(req.params.callsign);
+
+  const parseBound = (v) => {
+    if (v === undefined || v === "") return null;
+    const ms = Date.parse(v);
+    return Number.isFinite(ms) ? ms : NaN;
+  };
+  const fromMs = parseBound(req.query.from);
+  const toMs   = parseBound(req.query.to);
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+    return res.status(400).json({ error: "from/to must be ISO timestamps" });
+  }
+
+  const transitions = [];
+  for (const e of await readHistory(key, fromMs, toMs)) {
+    const prev = transitions[transitions.length - 1];
+    if (
+      prev &&
+      prev.code === e.code &&
+      prev.label === e.label &&
+      prev.explicitOnline === e.explicitOnline &&
+      prev.online === e.online
+    ) continue;
+
+    transitions.push({
+      ts: e.ts,
+      code: e.code,
+      label: e.label,
+      explicitOnline: e.explicitOnline,
+      online: e.online,
+      source: e.source,
+    });
+  }
+
+  res.json({ callsign: key, data: transitions, count: transitions.length });
+});
+
+// Vehicles from the server-side Autocab cache (see "Vehicle cache" above).
+// Conditional requests get 304; during upstream outages the last good list is
+// served with stale: true.
+app.get("/api/vehicles", async (req, res) => {
+  try {
+    if (!AUTOCAB_KEY) {
+      return res.status(500).json({ error: "Missing AUTOCAB_KEY in .env" });
+    }
+
+    if (!vehicleCache.body) await refreshVehicles();
+    if (!vehicleCache.body) {
+      return res.status(502).json({ error: `Upstream error: ${vehicleCache.lastError || "no data"}` });
+    }
+
+    res.setHeader("ETag", vehicleCache.etag);
+    res.setHeader("Last-Modified", vehicleCache.lastModified);
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Age", String(Math.floor((Date.now() - vehicleCache.fetchedAtMs) / 1000)));
+
+    if (req.fresh) return res.status(304).end();
+    res.type("application/json").send(vehicleCache.body);
   } catch (e) {
     console.error("/api/vehicles error:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
+app.get("/api/vehicles/cache", (_req, res) => {
+  res.json(vehicleCacheStatus());
+});
+
+// Force an immediate upstream refresh
+app.post("/api/vehicles/refresh", requireAdmin, async (_req, res) => {
+  await refreshVehicles({ reschedule: true });
+  res.json(vehicleCacheStatus());
+});
+
+// ---------- Kiosk profiles ----------
+/**
+ * Named settings for wall screens (index.html?kiosk=1&profile=<name>), so a
+ * screen only needs its URL. KIOSK_FILE maps name -> settings; see
+ * kiosk.example.json. Read on each request, so edits apply on the next reload.
+ */
+const KIOSK_SETTINGS = ["title", "statuses", "view", "sort", "pageSeconds", "staleMinutes", "fontPx"];
+
+function readKioskProfiles() {
+  if (!fs.existsSync(KIOSK_FILE)) return {};
+  const raw = JSON.parse(fs.readFileSync(KIOSK_FILE, "utf8"));
+  return raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+}
+
+app.get("/api/kiosk", (_req, res) => {
+  try {
+    res.json({ data: Object.keys(readKioskProfiles()) });
+  } catch (e) {
+    res.status(500).json({ error: `${KIOSK_FILE}: ${e.message}` });
+  }
+});
+
+app.get("/api/kiosk/:profile", (req, res) => {
+  let profile;
+  try {
+    profile = readKioskProfiles()[req.params.profile];
+  } catch (e) {
+    return res.status(500).json({ error: `${KIOSK_FILE}: ${e.message}` });
+  }
+  if (!profile || typeof profile !== "object") return res.status(404).json({ error: "Unknown kiosk profile" });
+
+  const out = { name: req.params.profile };
+  for (const k of KIOSK_SETTINGS) if (profile[k] !== undefined) out[k] = profile[k];
+  res.json(out);
+});
+
+// ---------- Utilisation time series ----------
+// Every STATS_SAMPLE_SECONDS the status distribution is added to STATS_FILE
+// (see timeseries.js for tiers and retention). 0 turns sampling off.
+const STATS_SAMPLE_SECONDS = Number(process.env.STATS_SAMPLE_SECONDS ?? 60);
+const STATS_MAX_POINTS = 5000;
+const STATS_AUTO_BUCKETS = [60, 300, 900, 3600, 6 * 3600, 24 * 3600];
+
+let timeseries = null;
+if (STATS_SAMPLE_SECONDS > 0) {
+  try {
+    timeseries = createTimeseries({
+      file: STATS_FILE,
+      tiers: defaultTiers(STATS_SAMPLE_SECONDS, {
+        rawDays: Number(process.env.STATS_RAW_DAYS || 7),
+        quarterHourDays: Number(process.env.STATS_15M_DAYS || 90),
+        hourDays: Number(process.env.STATS_1H_DAYS || 730),
+      }),
+    });
+  } catch (e) {
+    console.warn("time series disabled:", e.message);
+  }
+}
+
+function sampleFleet() {
+  const sample = { tracked: onlineMap.size, online: 0, suspended: 0, fleet: vehicleIndex.size, codes: {} };
+  for (const v of vehicleIndex.values()) if (v.isSuspended === true) sample.suspended++;
+  for (const [cs, rec] of onlineMap) {
+    const p = statusPayload(cs, rec);
+    if (!p.online) continue;
+    sample.online++;
+    const code = p.driverStatusCode || "none";
+    sample.codes[code] = (sample.codes[code] || 0) + 1;
+  }
+  return sample;
+}
+
+if (timeseries) {
+  setInterval(() => {
+    try {
+      timeseries.record(sampleFleet());
+    } catch (e) {
+      console.warn("time series sample failed:", e.message);
+    }
+  }, STATS_SAMPLE_SECONDS * 1000);
+
+  setInterval(() => {
+    try {
+      const removed = timeseries.prune();
+      const n = Object.values(removed).reduce((a, b) => a + b, 0);
+      if (n) console.log("time series retention:", JSON.stringify(removed));
+    } catch (e) {
+      console.warn("time series prune failed:", e.message);
+    }
+  }, 60 * 60 * 1000);
+}
+
+// ?from=&to= (ISO, default the last 24 hours), ?bucket= seconds or 5m/1h/1d
+// (default: the smallest of STATS_AUTO_BUCKETS giving at most ~300 points)
+app.get("/api/stats/timeseries", (req, res) => {
+  if (!timeseries) return res.status(503).json({ error: "Time series disabled (STATS_SAMPLE_SECONDS=0)" });
+
+  const now = Date.now();
+  const toMs = req.query.to ? Date.parse(req.query.to) : now;
+  const fromMs = req.query.from ? Date.parse(req.query.from) : toMs - 24 * 60 * 60 * 1000;
+  if (!Number.isFinite(fromMs) || !Number.isFinite(toMs) || fromMs >= toMs) {
+    return res.status(400).json({ error: "from/to must be ISO timestamps with from < to" });
+  }
+
+  const spanS = (toMs - fromMs) / 1000;
+  const minStep = timeseries.tiers[0].step;
+  let bucketSeconds;
+  if (req.query.bucket) {
+    bucketSeconds = parseBucket(req.query.bucket);
+    if (!bucketSeconds) return res.status(400).json({ error: "bucket must be seconds or like 5m, 1h, 1d" });
+    if (bucketSeconds % minStep) {
+      return res.status(400).json({ error: `bucket must be a multiple of the ${minStep}s sample interval` });
+    }
+  } else {
+    bucketSeconds = STATS_AUTO_BUCKETS.find(b => b >= minStep && b % minStep === 0 && spanS / b <= 300)
+      || STATS_AUTO_BUCKETS[STATS_AUTO_BUCKETS.length - 1];
+  }
+  if (spanS / bucketSeconds > STATS_MAX_POINTS) {
+    return res.status(400).json({ error: `Too many points; use a bucket of at least ${Math.ceil(spanS / STATS_MAX_POINTS)}s` });
+  }
+
+  const out = timeseries.query({ fromMs, toMs, bucketSeconds, nowMs: now });
+  res.json({
+    from: new Date(fromMs).toISOString(),
+    to: new Date(toMs).toISOString(),
+    sampleSeconds: STATS_SAMPLE_SECONDS,
+    ...out,
+    count: out.points.length,
+  });
+});
+
+// ---------- Shift reports ----------
+/**
+ * Shifts and working hours per callsign, worked out from the history journal
+ * (see reports.js). Days are server-local (TZ). Query:
+ *   date=YYYY-MM-DD                 one day (default: today)
+ *   from=..&to=..                   YYYY-MM-DD (whole days, inclusive) or ISO
+ *   format=json|csv, view=summary|shifts (CSV rows per callsign or per shift)
+ * The journal only goes back as far as its rotation (HISTORY_MAX_FILES): JSON
+ * answers carry coverageFrom (its oldest entry) and a warning when that is
+ * after the start of the range, CSV an X-Report-Warning header.
+ */
+const REPORT_MAX_DAYS = 62;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "YYYY-MM-DD" -> local midnight in ms; ISO timestamps as they are
+function parseReportBound(v, endOfDay) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(v ?? "").trim());
+  if (!m) return Date.parse(v);
+  const start = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])).getTime();
+  return endOfDay ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]) + 1).getTime() : start;
+}
+
+app.get("/api/reports/shifts", async (req, res) => {
+  const { date, from, to } = req.query;
+  let fromMs, toMs;
+  if (from || to) {
+    fromMs = parseReportBound(from, false);
+    toMs = to ? parseReportBound(to, true) : Date.now();
+  } else {
+    const day = date || new Date().toLocaleDateString("en-CA"); // YYYY-MM-DD
+    fromMs = parseReportBound(day, false);
+    toMs = parseReportBound(day, true);
+  }
+  if (!Number.isFinite(fromMs) || !Number.isFinite(toMs) || fromMs >= toMs) {
+    return res.status(400).json({ error: "date, or from/to, must be YYYY-MM-DD or ISO timestamps with from < to" });
+  }
+  if (toMs - fromMs > REPORT_MAX_DAYS * DAY_MS) {
+    return res.status(400).json({ error: `Range is limited to ${REPORT_MAX_DAYS} days` });
+  }
+  const format = String(req.query.format || "json").toLowerCase();
+  if (!["json", "csv"].includes(format)) return res.status(400).json({ error: "format must be json or csv" });
+
+  // A day either side: the start of a shift already running at fromMs, and
+  // the end of one still running at toMs
+  const entries = [];
+  await streamHistory(null, { fromMs: fromMs - DAY_MS, stopAfterMs: toMs + DAY_MS }, (e) => entries.push(e));
+  const report = buildShiftReport(entries, {
+    fromMs,
+    toMs,
+    categoryFor: (code) => statusCodeInfo(code)?.report || "other",
+    isOnlineNow: (cs) => computeOnline(onlineMap.get(cs)),
+  });
+
+  const startMs = historyStartMs();
+  const coverageFrom = startMs === null ? null : new Date(startMs).toISOString();
+  const warning = startMs === null ? "The history journal is empty"
+    : startMs > fromMs ? `The history journal only reaches back to ${coverageFrom}; earlier shifts are missing`
+    : null;
+
+  if (format === "csv") {
+    const view = req.query.view === "shifts" ? "shifts" : "summary";
+    const day = (ms) => new Date(ms).toLocaleDateString("en-CA");
+    const span = day(fromMs) === day(toMs - 1) ? day(fromMs) : `${day(fromMs)}_${day(toMs - 1)}`;
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="shift-report-${view}-${span}.csv"`);
+    if (warning) res.setHeader("X-Report-Warning", warning);
+    return res.send(shiftReportCsv(report, view));
+  }
+  res.json({ ...report, count: report.callsigns.length, coverageFrom, warning, ts: new Date().toISOString() });
+});
+
+// ---------- Simulator ----------
+// Fake fleet (SIMULATOR=1): /simulator/... stands in for the Autocab vehicles,
+// tracks and active shifts endpoints, and the schedule is posted to our own
+// webhooks with our own auth.
+let simulation = null;
+if (SIMULATOR) {
+  simulation = createSimulation({
+    seed: Number(process.env.SIMULATOR_SEED || 1),
+    size: Number(process.env.SIMULATOR_FLEET_SIZE || 40),
+    tickMs: Number(process.env.SIMULATOR_TICK_MS || 1500),
+  });
+  app.get("/simulator/vehicle/v1/vehicles", (_req, res) => res.json(simulation.vehiclesResponse()));
+  app.get("/simulator/vehicle/v1/vehicletracks", (_req, res) => res.json(simulation.tracksResponse()));
+  app.get("/simulator/driver/v1/shifts/active", (_req, res) => res.json(simulation.shiftsResponse()));
+}
+
+function startSimulator() {
+  console.log(`SIMULATOR: ${simulation.fleet.length} fake vehicles (seed ${process.env.SIMULATOR_SEED || 1})`);
+  runSimulation(simulation, {
+    base: SELF_URL,
+    auth: (route, body) => webhookHeaders(body, { secret: webhookSecretsFor(route)[0], token: WEBHOOK_TOKEN }),
+    onEvent: (ev, r) => {
+      if (r.status !== 200) console.log(`SIMULATOR: #${ev.seq} ${ev.route} ${ev.note} -> ${r.status}`);
+    },
+  });
+}
+
 // ---------- Health & root ----------
 app.use(express.static(path.join(__dirname, "public")));
-app.get("/healthz", (_req, res) => res.json({ ok: true }));
+// Optional local map tiles ({z}/{x}/{y}.png) for public/map.html; map stays blank without them
+if (fs.existsSync(MAP_TILES_DIR)) app.use("/tiles", express.static(path.resolve(MAP_TILES_DIR)));
+app.get("/healthz", (_req, res) => res.json({
+  ok: true,
+  instance: INSTANCE_ID,
+  sharedState: sharedState.name,
+  leader: sharedState.isLeader(),
+}));
 app.get("/", (_req, res) => res.sendFile(path.join(__dirname, "public", "index.html")));
 
-process.on("SIGTERM", () => {
-  try { saveStatusToDisk(); } finally { process.exit(0); }
-});
-process.on("SIGINT", () => {
-  try { saveStatusToDisk(); } finally { process.exit(0); }
-});
+// Flush synchronously before exiting so the last writes are not lost
+async function shutdown(signal) {
+  console.log(`${signal}: closing ${store.name} store`);
+  try { store.close(); } catch (e) { console.error("store close failed:", e.message); }
+  try { timeseries?.close(); } catch {}
+  // Hand the leader lease over now rather than after it expires
+  try { await sharedState.close(); } catch {}
+  process.exit(0);
+}
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
 
-app.listen(PORT, () => {
-  console.log(`Server listening on http://localhost:${PORT}`);
+app.listen(PORT, HOST, () => {
+  console.log(`Server listening on ${SELF_URL}${BASE_PATH}`);
   console.log(`PING timeout: ${PING_TIMEOUT_MINUTES} minute(s).`);
+  refreshVehicles({ reschedule: true });
+  if (SIMULATOR) startSimulator();
 });
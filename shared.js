@@ -0,0 +1,339 @@
+// shared.js — state + pub/sub shared between server instances behind a load balancer
+//
+// Backends (SHARED_STATE):
+//   memory (default) — a single instance; nothing leaves the process
+//   redis            — records in a Redis hash, changes on a pub/sub channel,
+//                      leader lease in a key. Speaks RESP directly, so any
+//                      Redis-protocol server (Redis, Valkey, KeyDB) will do.
+//
+// Both expose the same interface:
+//   connect(), loadAll() -> Map | null, commit(callsign, rec) -> { applied, current },
+//   remove(callsign), publish(msg), onMessage(fn), isLeader(), close()
+//
+// Every record carries rec.rev (see nextRevision). A commit only lands when
+// its rev is at least the stored one, so all instances agree on which of two
+// racing updates won.
+import net from "net";
+import os from "os";
+
+// "<ms>:<n>:<instance>", zero-padded so plain string comparison orders it:
+// updatedAt first, then n (bumped for repeat writes at the same updatedAt),
+// then instance id as a deterministic tie-break
+export function nextRevision(updatedAt, prevRev, instanceId) {
+  const ms = Date.parse(updatedAt);
+  const msPart = String(Number.isFinite(ms) ? ms : 0).padStart(13, "0");
+  const [prevMs, prevN] = String(prevRev || "").split(":");
+  const n = prevMs === msPart ? Number(prevN) + 1 : 0;
+  return `${msPart}:${String(n).padStart(6, "0")}:${instanceId}`;
+}
+
+export function isNewerRevision(incoming, existing) {
+  return String(incoming || "") > String(existing || "");
+}
+
+export function defaultInstanceId() {
+  return `${os.hostname()}-${process.pid}`;
+}
+
+// ---------- In-memory ----------
+export function createMemoryState({ instanceId }) {
+  return {
+    name: "memory",
+    instanceId,
+    async connect() {},
+    async loadAll() { return null; },  // the local store is the only copy
+    async commit() { return { applied: true, current: null }; },
+    async remove() {},
+    async publish() {},
+    onMessage() {},
+    isLeader: () => true,
+    async close() {},
+  };
+}
+
+// ---------- RESP client ----------
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const a of args) {
+    const s = String(a);
+    out += `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+  }
+  return out;
+}
+
+// Parse one reply from buf at offset: { value, offset } or null if incomplete
+function parseReply(buf, offset) {
+  const lineEnd = buf.indexOf("\r\n", offset);
+  if (lineEnd < 0) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  if (type === "+") return { value: line, offset: next };
+  if (type === "-") return { value: new Error(line), offset: next };
+  if (type === ":") return { value: Number(line), offset: next };
+  if (type === "$") {
+    const len = Number(line);
+    if (len < 0) return { value: null, offset: next };
+    if (buf.length < next + len + 2) return null;
+    return { value: buf.toString("utf8", next, next + len), offset: next + len + 2 };
+  }
+  if (type === "*") {
+    const count = Number(line);
+    if (count < 0) return { value: null, offset: next };
+    const items = [];
+    let pos = next;
+    for (let i = 0; i < count; i++) {
+      const r = parseReply(buf, pos);
+      if (!r) return null;
+      items.push(r.value);
+      pos = r.offset;
+    }
+    return { value: items, offset: pos };
+  }
+  throw new Error(`Unexpected RESP type "${type}"`);
+}
+
+/**
+ * Minimal Redis connection: command(...args) -> Promise, reconnects with
+ * backoff and re-subscribes. Pub/sub messages go to onPush(channel, message).
+ */
+function createRespClient(url, { label, onPush = () => {} } = {}) {
+  const u = new URL(url);
+  const host = u.hostname || "localhost";
+  const port = Number(u.port || 6379);
+  const password = u.password ? decodeURIComponent(u.password) : null;
+  const username = u.username ? decodeURIComponent(u.username) : null;
+  const db = Number(u.pathname.replace(/^\//, "") || 0);
+
+  let socket = null;
+  let ready = false;
+  let closed = false;
+  let buffer = Buffer.alloc(0);
+  let pending = [];      // [{ resolve, reject }] in send order
+  const channels = new Set();
+  let backoffMs = 500;
+  let readyWaiters = [];
+
+  function settle(reply) {
+    // In subscribe mode the server pushes ["message", channel, payload]
+    if (Array.isArray(reply) && reply[0] === "message" && channels.has(reply[1])) {
+      onPush(reply[1], reply[2]);
+      return;
+    }
+    const p = pending.shift();
+    if (!p) return;
+    if (reply instanceof Error) p.reject(reply);
+    else p.resolve(reply);
+  }
+
+  function onData(chunk) {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    let offset = 0;
+    for (;;) {
+      const r = parseReply(buffer, offset);
+      if (!r) break;
+      offset = r.offset;
+      settle(r.value);
+    }
+    buffer = buffer.subarray(offset);
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      if (!socket || socket.destroyed) return reject(new Error(`${label}: not connected`));
+      pending.push({ resolve, reject });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function open() {
+    buffer = Buffer.alloc(0);
+    socket = net.createConnection({ host, port });
+    socket.setNoDelay(true);
+    socket.on("data", onData);
+    socket.on("connect", async () => {
+      try {
+        if (password) await send(username ? ["AUTH", username, password] : ["AUTH", password]);
+        if (db) await send(["SELECT", db]);
+        for (const ch of channels) await send(["SUBSCRIBE", ch]);
+        ready = true;
+        backoffMs = 500;
+        console.log(`${label}: connected to ${host}:${port}`);
+        for (const w of readyWaiters.splice(0)) w.resolve();
+      } catch (e) {
+        console.warn(`${label}: handshake failed:`, e.message);
+        socket.destroy();
+      }
+    });
+    socket.on("error", (e) => {
+      if (ready || !readyWaiters.length) console.warn(`${label}: ${e.message}`);
+    });
+    socket.on("close", () => {
+      const wasReady = ready;
+      ready = false;
+      for (const p of pending.splice(0)) p.reject(new Error(`${label}: connection closed`));
+      if (closed) return;
+      if (wasReady) console.warn(`${label}: connection lost, reconnecting`);
+      setTimeout(open, backoffMs).unref();
+      backoffMs = Math.min(backoffMs * 2, 30000);
+    });
+  }
+
+  open();
+
+  return {
+    command(...args) {
+      if (!ready) return Promise.reject(new Error(`${label}: not connected`));
+      return send(args);
+    },
+    async subscribe(channel) {
+      channels.add(channel);
+      if (ready) await send(["SUBSCRIBE", channel]);
+    },
+    isReady: () => ready,
+    waitReady(timeoutMs) {
+      if (ready) return Promise.resolve();
+      return new Promise((resolve, reject) => {
+        const w = { resolve, reject };
+        readyWaiters.push(w);
+        setTimeout(() => {
+          readyWaiters = readyWaiters.filter(x => x !== w);
+          reject(new Error(`${label}: no connection to ${host}:${port} after ${timeoutMs}ms`));
+        }, timeoutMs).unref();
+      });
+    },
+    close() {
+      closed = true;
+      socket?.end();
+    },
+  };
+}
+
+// ---------- Redis ----------
+// Write the record unless the stored one has a higher rev; publish on success.
+// Returns nil when applied, else the stored (winning) record.
+const COMMIT_SCRIPT = `
+local cur = redis.call('HGET', KEYS[1], ARGV[1])
+if cur then
+  local ok, stored = pcall(cjson.decode, cur)
+  if ok and type(stored) == 'table' and type(stored.rev) == 'string' and stored.rev > ARGV[2] then
+    return cur
+  end
+end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+redis.call('PUBLISH', KEYS[2], ARGV[4])
+return false
+`;
+
+// Extend the lease only if we still hold it
+const RENEW_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+export function createRedisState({ url, instanceId, prefix = "hackney:", leaderTtlMs = 15000, connectTimeoutMs = 10000 }) {
+  const recordsKey = `${prefix}records`;
+  const channel = `${prefix}events`;
+  const leaderKey = `${prefix}leader`;
+
+  const handlers = [];
+  let leader = false;
+  let leaderTimer = null;
+
+  function dispatch(_channel, raw) {
+    let msg;
+    try { msg = JSON.parse(raw); } catch { return; }
+    if (!msg || msg.origin === instanceId) return;
+    for (const fn of handlers) {
+      try { fn(msg); } catch (e) { console.warn("shared state: message handler failed:", e.message); }
+    }
+  }
+
+  const cmd = createRespClient(url, { label: "redis" });
+  const sub = createRespClient(url, { label: "redis (subscriber)", onPush: dispatch });
+
+  function setLeader(next) {
+    if (next === leader) return;
+    leader = next;
+    console.log(`shared state: ${instanceId} is ${leader ? "now" : "no longer"} the leader`);
+  }
+
+  // Take the lease if it is free, keep it while we hold it; a crashed
+  // leader's lease runs out after leaderTtlMs
+  async function electLeader() {
+    try {
+      if (leader) {
+        const renewed = await cmd.command("EVAL", RENEW_SCRIPT, 1, leaderKey, instanceId, leaderTtlMs);
+        setLeader(renewed === 1);
+      } else {
+        const won = await cmd.command("SET", leaderKey, instanceId, "NX", "PX", leaderTtlMs);
+        setLeader(won === "OK");
+      }
+    } catch (e) {
+      // Can't reach Redis: assume someone else will take over
+      setLeader(false);
+    }
+  }
+
+  const publishRaw = (msg) => cmd.command("PUBLISH", channel, JSON.stringify({ ...msg, origin: instanceId }));
+
+  return {
+    name: "redis",
+    instanceId,
+    async connect() {
+      await Promise.all([cmd.waitReady(connectTimeoutMs), sub.waitReady(connectTimeoutMs)]);
+      await sub.subscribe(channel);
+      await electLeader();
+      leaderTimer = setInterval(electLeader, Math.max(1000, Math.floor(leaderTtlMs / 3)));
+      leaderTimer.unref();
+    },
+    async loadAll() {
+      const flat = await cmd.command("HGETALL", recordsKey);
+      const map = new Map();
+      for (let i = 0; i + 1 < flat.length; i += 2) {
+        try { map.set(flat[i], JSON.parse(flat[i + 1])); } catch {}
+      }
+      return map;
+    },
+    async commit(callsign, rec) {
+      const message = JSON.stringify({ type: "record", origin: instanceId, callsign, rec });
+      const cur = await cmd.command("EVAL", COMMIT_SCRIPT, 2, recordsKey, channel, callsign, rec.rev || "", JSON.stringify(rec), message);
+      if (cur === null) return { applied: true, current: rec };
+      return { applied: false, current: JSON.parse(cur) };
+    },
+    async remove(callsign) {
+      await cmd.command("HDEL", recordsKey, callsign);
+      await publishRaw({ type: "remove", callsign });
+    },
+    publish: publishRaw,
+    onMessage(fn) {
+      handlers.push(fn);
+    },
+    isLeader: () => leader,
+    async close() {
+      clearInterval(leaderTimer);
+      if (leader) {
+        try { await cmd.command("EVAL", RELEASE_SCRIPT, 1, leaderKey, instanceId); } catch {}
+        leader = false;
+      }
+      cmd.close();
+      sub.close();
+    },
+  };
+}
+
+export function createSharedState({ backend, url, instanceId, prefix, leaderTtlMs }) {
+  if (backend === "memory") return createMemoryState({ instanceId });
+  if (backend === "redis") return createRedisState({ url, instanceId, prefix, leaderTtlMs });
+  throw new Error(`Unknown SHARED_STATE "${backend}" (use memory or redis)`);
+}
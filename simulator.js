@@ -0,0 +1,365 @@
+// simulator.js — seeded fake Autocab fleet for demos, training and offline testing
+//
+// Inside the server: SIMULATOR=1 (see .env.example). The server then serves
+// stand-ins for /vehicle/v1/vehicles and the reconciler's tracks and active
+// shifts lists under /simulator, points its Autocab calls at them and posts
+// the generated webhooks to itself.
+//
+// Standalone:
+//   node simulator.js --target http://localhost:4000 [options]
+//
+//   --seed N          fleet + schedule seed (default 1)
+//   --fleet N         number of vehicles (default 40)
+//   --events N        stop after N webhook calls (default: run until Ctrl-C)
+//   --tick-ms N       mean gap between calls (default 1500)
+//   --start ISO       simulated clock start (default: now)
+//   --fast            don't wait between calls
+//   --token T         x-webhook-token to send
+//   --secret S        HMAC secret to sign with (x-webhook-signature)
+//   --vehicles-port P also serve the fake Autocab API (vehicles, tracks,
+//                     active shifts) on this port
+//   --dump            print the schedule as NDJSON instead of sending it
+//
+// The same --seed, --fleet, --tick-ms and --start always produce the same
+// schedule, byte for byte, so tests can assert on it. About 5% of calls
+// re-send an older event (out of order) and about 3% are malformed.
+import http from "http";
+import { fileURLToPath } from "url";
+import fetch from "node-fetch";
+import { signWebhook } from "./webhookauth.js";
+
+const CENTRE = { lat: 51.5472, lng: -0.0558 }; // Hackney Central
+const HACKNEY_CAPABILITY = 14;
+
+// mulberry32: small, fast and identical on every platform
+export function createRng(seed) {
+  let a = (Number(seed) >>> 0) || 1;
+  const next = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (arr) => arr[Math.floor(next() * arr.length)],
+    chance: (p) => next() < p,
+  };
+}
+
+const LETTERS = "ABCDEFGHJKLMNOPRSTUVWXY";
+
+export function createFleet({ seed = 1, size = 40 } = {}) {
+  const rng = createRng(seed);
+  const fleet = [];
+  for (let i = 0; i < size; i++) {
+    const callsign = String(100 + i);
+    const reg = `${rng.pick(LETTERS)}${rng.pick(LETTERS)}${rng.int(10, 74)} ${rng.pick(LETTERS)}${rng.pick(LETTERS)}${rng.pick(LETTERS)}`;
+    const hackney = !rng.chance(0.15);
+    fleet.push({
+      callsign,
+      plateNumber: String(rng.int(1000, 9999)),
+      registration: reg,
+      capabilities: hackney ? [{ id: HACKNEY_CAPABILITY, name: "Hackney" }] : [{ id: 3, name: "Private Hire" }],
+      isSuspended: rng.chance(0.08),
+      isActive: !rng.chance(0.03),
+    });
+  }
+  return fleet;
+}
+
+// Status codes per step of a job; a vehicle walks one of these paths and back to Clear
+const JOB_PATHS = [
+  ["JobOffered", "BusyMeterOff", "BusyMeterOnFromMeterOffCash"],
+  ["JobOffered", "BusyMeterOffAccount", "BusyMeterOnFromMeterOffAccount"],
+  ["JobOffered"],                 // offer declined
+  ["BusyMeterOnFromClear"],       // rank / street pickup
+];
+
+// ShiftChange shapes seen from Autocab, to exercise shiftStatusLabel / inferExplicitOnlineFromShift
+const SHIFT_START = [
+  (cs, ts) => ({ Vehicle: { Callsign: cs }, ShiftStatus: "Started", Timestamp: ts }),
+  (cs, ts) => ({ Driver: { Callsign: cs }, EventType: "ShiftStart", Timestamp: ts }),
+  (cs, ts) => ({ Vehicle: { Callsign: cs }, IsOnShift: true, ModifiedDate: ts }),
+  (cs, ts) => ({ Vehicle: { Callsign: cs }, SubEventType: "Started", Status: "Logged In", Timestamp: ts }),
+];
+const SHIFT_END = [
+  (cs, ts) => ({ Vehicle: { Callsign: cs }, ShiftStatus: "Ended", Timestamp: ts }),
+  (cs, ts) => ({ Driver: { Callsign: cs }, EventType: "ShiftEnd", Timestamp: ts }),
+  (cs, ts) => ({ Vehicle: { Callsign: cs }, IsOnShift: false, ModifiedDate: ts }),
+];
+const SHIFT_BREAK = (cs, ts) => ({ Vehicle: { Callsign: cs }, ShiftStatus: "On Break", Timestamp: ts });
+
+const MALFORMED = [
+  () => ({ route: "Status", body: '{"VehicleTracks": [{"Vehicle": ', note: "malformed:truncated-json" }),
+  () => ({ route: "Status", body: JSON.stringify({ VehicleTracks: [{ VehicleStatus: "Clear" }] }), note: "malformed:no-callsign" }),
+  () => ({ route: "HackneyLocation", body: JSON.stringify([42, null, "x"]), note: "malformed:non-object-items" }),
+  (cs) => ({ route: "ShiftChange", body: JSON.stringify({ Vehicle: { Callsign: cs }, ShiftStatus: "Started", Timestamp: "yesterday" }), note: "malformed:bad-timestamp" }),
+  (cs) => ({ route: "HackneyLocation", body: JSON.stringify({ Vehicle: { Callsign: cs }, Location: { Latitude: 999, Longitude: "east" } }), note: "malformed:bad-position" }),
+];
+
+/**
+ * The schedule: next() returns { seq, at, gapMs, route, body, note } with body
+ * a JSON string (or deliberately broken text). Timestamps come from a
+ * simulated clock that starts at startMs and advances by gapMs per call.
+ */
+export function createSimulation({ seed = 1, size = 40, tickMs = 1500, startMs = Date.now() } = {}) {
+  const fleet = createFleet({ seed, size });
+  const rng = createRng(Number(seed) * 7919 + 1);
+  let clock = startMs;
+  let seq = 0;
+
+  const state = new Map(fleet.map(v => [v.callsign, {
+    onShift: false,
+    onBreak: false,
+    job: null,        // { path, step }
+    lat: CENTRE.lat + (rng.next() - 0.5) * 0.04,
+    lng: CENTRE.lng + (rng.next() - 0.5) * 0.06,
+    heading: rng.int(0, 359),
+    lastEvent: null,  // for out-of-order re-sends
+    shiftAt: null,    // what Autocab would report now, for the reconciler
+    code: null,
+    statusAt: null,
+  }]));
+
+  function move(s) {
+    s.heading = (s.heading + rng.int(-40, 40) + 360) % 360;
+    const speed = s.job ? rng.int(5, 30) : rng.int(0, 12);
+    const rad = (s.heading * Math.PI) / 180;
+    const step = speed * 0.000004 * (tickMs / 1000);
+    s.lat += Math.cos(rad) * step;
+    s.lng += Math.sin(rad) * step * 1.6;
+    return speed;
+  }
+
+  function eventFor(v, s, ts) {
+    const cs = v.callsign;
+
+    if (!s.onShift) {
+      s.onShift = true;
+      s.job = null;
+      s.shiftAt = ts;
+      s.code = null;
+      return { route: "ShiftChange", body: rng.pick(SHIFT_START)(cs, ts), note: "shift-start" };
+    }
+
+    const roll = rng.next();
+    if (roll < 0.03) {
+      s.onShift = false;
+      s.onBreak = false;
+      s.code = null;
+      return { route: "ShiftChange", body: rng.pick(SHIFT_END)(cs, ts), note: "shift-end" };
+    }
+    if (roll < 0.05 && !s.job) {
+      s.onBreak = !s.onBreak;
+      return s.onBreak
+        ? { route: "ShiftChange", body: SHIFT_BREAK(cs, ts), note: "break" }
+        : { route: "ShiftChange", body: rng.pick(SHIFT_START)(cs, ts), note: "break-end" };
+    }
+    if (roll < 0.45 && !s.onBreak) {
+      let code;
+      if (!s.job) {
+        s.job = { path: rng.pick(JOB_PATHS), step: 0 };
+        code = s.job.path[0];
+      } else if (++s.job.step < s.job.path.length) {
+        code = s.job.path[s.job.step];
+      } else {
+        s.job = null;
+        code = "Clear";
+      }
+      s.code = code;
+      s.statusAt = ts;
+      return {
+        route: "Status",
+        body: { VehicleTracks: [{ Vehicle: { Callsign: cs }, Driver: { Callsign: cs }, VehicleStatus: code, Timestamp: ts }] },
+        note: `status:${code}`,
+      };
+    }
+
+    const speed = move(s);
+    return {
+      route: "HackneyLocation",
+      body: {
+        Vehicle: { Callsign: cs },
+        Location: { Latitude: Number(s.lat.toFixed(6)), Longitude: Number(s.lng.toFixed(6)) },
+        Speed: speed,
+        Heading: s.heading,
+        Timestamp: ts,
+      },
+      note: "ping",
+    };
+  }
+
+  function next() {
+    const gapMs = Math.round(tickMs * (0.5 + rng.next()));
+    clock += gapMs;
+    const ts = new Date(clock).toISOString();
+    const v = rng.pick(fleet);
+    const s = state.get(v.callsign);
+
+    let ev;
+    if (s.lastEvent && rng.chance(0.05)) {
+      ev = { ...s.lastEvent, note: `out-of-order:${s.lastEvent.note}` };
+    } else if (rng.chance(0.03)) {
+      ev = rng.pick(MALFORMED)(v.callsign);
+    } else {
+      const e = eventFor(v, s, ts);
+      ev = { route: e.route, body: JSON.stringify(e.body), note: e.note };
+      s.lastEvent = ev;
+    }
+    return { seq: ++seq, at: ts, gapMs, ...ev };
+  }
+
+  return {
+    fleet,
+    next,
+    // Body for the /vehicle/v1/vehicles stand-in
+    vehiclesResponse: () => ({ items: fleet }),
+    // Current truth for the reconciler: unaffected by malformed or re-sent webhooks
+    tracksResponse: () => ({
+      VehicleTracks: fleet
+        .filter(v => state.get(v.callsign).onShift && state.get(v.callsign).code)
+        .map(v => {
+          const s = state.get(v.callsign);
+          return { Vehicle: { Callsign: v.callsign }, VehicleStatus: s.code, Timestamp: s.statusAt };
+        }),
+    }),
+    shiftsResponse: () => ({
+      items: fleet
+        .filter(v => state.get(v.callsign).onShift)
+        .map(v => ({ Vehicle: { Callsign: v.callsign }, ShiftStatus: "Started", Timestamp: state.get(v.callsign).shiftAt })),
+    }),
+  };
+}
+
+// Headers a real Autocab webhook would carry for the configured auth
+export function webhookHeaders(body, { token, secret } = {}) {
+  const headers = { "Content-Type": "application/json" };
+  if (secret) {
+    const ts = String(Math.floor(Date.now() / 1000));
+    headers["x-webhook-timestamp"] = ts;
+    headers["x-webhook-signature"] = "sha256=" + signWebhook(secret, ts, body);
+  } else if (token) {
+    headers["x-webhook-token"] = token;
+  }
+  return headers;
+}
+
+/**
+ * Post the schedule to base (e.g. http://localhost:4000) in (simulated) real
+ * time. auth(route, body) -> headers. Returns { stop }.
+ */
+export function runSimulation(sim, { base, auth = () => webhookHeaders(""), fast = false, limit = Infinity, onEvent = () => {}, onDone = () => {} }) {
+  let timer = null;
+  let stopped = false;
+  let sent = 0;
+
+  async function step() {
+    if (stopped) return;
+    if (sent >= limit) return onDone(sent);
+    const ev = sim.next();
+    if (!fast) await new Promise(r => { timer = setTimeout(r, ev.gapMs); });
+    if (stopped) return;
+
+    let result;
+    try {
+      const r = await fetch(`${base}/webhook/${ev.route}`, { method: "POST", headers: auth(ev.route, ev.body), body: ev.body });
+      result = { status: r.status, ...(await r.json().catch(() => ({}))) };
+    } catch (e) {
+      result = { status: 0, error: e.message };
+    }
+    sent++;
+    onEvent(ev, result);
+    step();
+  }
+
+  step();
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
+
+// ---------- CLI ----------
+function parseArgs(argv) {
+  const opts = { seed: 1, fleet: 40, tickMs: 1500, events: Infinity };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const val = () => {
+      if (i + 1 >= argv.length) fail(`${a} needs a value`);
+      return argv[++i];
+    };
+    if (a === "--target") opts.target = val().replace(/\/+$/, "");
+    else if (a === "--seed") opts.seed = Number(val());
+    else if (a === "--fleet") opts.fleet = Number(val());
+    else if (a === "--events") opts.events = Number(val());
+    else if (a === "--tick-ms") opts.tickMs = Number(val());
+    else if (a === "--start") opts.start = Date.parse(val());
+    else if (a === "--fast") opts.fast = true;
+    else if (a === "--token") opts.token = val();
+    else if (a === "--secret") opts.secret = val();
+    else if (a === "--vehicles-port") opts.vehiclesPort = Number(val());
+    else if (a === "--dump") opts.dump = true;
+    else fail(`Unknown option ${a}`);
+  }
+  if (!opts.target && !opts.dump && !opts.vehiclesPort) {
+    fail("Usage: node simulator.js --target URL [--seed N] [--fleet N] [--events N] [--fast] | --dump --events N");
+  }
+  if (opts.start !== undefined && !Number.isFinite(opts.start)) fail("--start must be an ISO date");
+  if (opts.dump && !Number.isFinite(opts.events)) fail("--dump needs --events");
+  return opts;
+}
+
+function fail(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const sim = createSimulation({ seed: opts.seed, size: opts.fleet, tickMs: opts.tickMs, startMs: opts.start ?? Date.now() });
+
+  if (opts.dump) {
+    for (let i = 0; i < opts.events; i++) process.stdout.write(JSON.stringify(sim.next()) + "\n");
+    return;
+  }
+
+  if (opts.vehiclesPort) {
+    const routes = {
+      "/vehicle/v1/vehicles": sim.vehiclesResponse,
+      "/vehicle/v1/vehicletracks": sim.tracksResponse,
+      "/driver/v1/shifts/active": sim.shiftsResponse,
+    };
+    http.createServer((req, res) => {
+      const route = routes[req.url.split("?")[0]];
+      if (!route) {
+        res.writeHead(404).end();
+        return;
+      }
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(route()));
+    }).listen(opts.vehiclesPort, () => {
+      console.log(`Fake Autocab API on http://localhost:${opts.vehiclesPort} (${Object.keys(routes).join(", ")}; set AUTOCAB_BASE_URL to it)`);
+    });
+  }
+
+  if (!opts.target) return;
+  console.log(`Simulating ${opts.fleet} vehicles (seed ${opts.seed}) -> ${opts.target}`);
+  runSimulation(sim, {
+    base: opts.target,
+    auth: (_route, body) => webhookHeaders(body, opts),
+    fast: opts.fast,
+    limit: opts.events,
+    onEvent: (ev, r) => console.log(`#${ev.seq} ${ev.at} ${ev.route.padEnd(15)} ${ev.note.padEnd(40)} -> ${r.status}${r.updates !== undefined ? ` updates=${r.updates}` : ""}`),
+    onDone: (n) => {
+      console.log(`Done: ${n} webhook call(s)`);
+      if (!opts.vehiclesPort) process.exit(0);
+    },
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) main();
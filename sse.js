@@ -0,0 +1,60 @@
+// sse.js — the SSE event log: ids, the replay ring buffer and Last-Event-ID resume
+//
+// Every event gets an id "<epoch>-<seq>". The last `size` events are kept so a
+// client reconnecting with Last-Event-ID gets only what it missed. since()
+// answers null, meaning "send a snapshot instead", when the id is malformed,
+// from another epoch (the server restarted), ahead of us, or older than the
+// buffer reaches back. rewrite() edits or drops buffered events in place, for
+// data that has to be erased.
+
+export function createEventLog({ size = 1000, epoch = Date.now().toString(36) } = {}) {
+  let seq = 0;
+  let floor = 0;     // the newest seq that has fallen out of the buffer
+  const buffer = []; // { seq, event, data }, oldest first
+
+  const id = (n) => `${epoch}-${n}`;
+
+  function append(event, data) {
+    const entry = { seq: ++seq, event, data };
+    buffer.push(entry);
+    if (buffer.length > size) floor = buffer.shift().seq;
+    return entry;
+  }
+
+  // Buffered events after lastEventId, or null when a snapshot is needed
+  function since(lastEventId) {
+    const m = /^([a-z0-9]+)-(\d+)$/.exec(String(lastEventId || "").trim());
+    if (!m || m[1] !== epoch) return null;
+    const n = Number(m[2]);
+    if (n > seq || n < floor) return null;
+    return buffer.filter(e => e.seq > n);
+  }
+
+  // fn(event, data) -> data to keep (changed or not), or null to drop the
+  // event. Resuming clients then never see the old data. -> events changed
+  function rewrite(fn) {
+    let changed = 0;
+    for (let i = buffer.length - 1; i >= 0; i--) {
+      const data = fn(buffer[i].event, buffer[i].data);
+      if (data === buffer[i].data) continue;
+      changed++;
+      if (data === null) buffer.splice(i, 1);
+      else buffer[i].data = data;
+    }
+    return changed;
+  }
+
+  // n: the event's sequence number, or null for frames that are not replayable
+  function frame(event, data, n = null) {
+    return `${n !== null ? `id: ${id(n)}\n` : ""}event: ${event}\ndata:${JSON.stringify(data)}\n\n`;
+  }
+
+  return {
+    append,
+    since,
+    rewrite,
+    id,
+    frame,
+    get seq() { return seq; },
+  };
+}
@@ -0,0 +1,187 @@
+// store.js — persistence for onlineMap records (callsign -> record)
+//
+// Backends (STORE_BACKEND):
+//   sqlite (default) — embedded SQLite, one row per callsign, upserted atomically
+//   json             — the original status.json snapshot, for small installs
+//
+// Both expose the same interface:
+//   loadAll() -> Map, upsert(callsign, rec), remove(callsign), flush(), close(),
+//   getMeta(key) -> value | null, setMeta(key, value) for small JSON values
+//   other parts of the server keep across restarts (e.g. alert state)
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+
+// ---------- JSON file ----------
+export function createJsonStore({ file, debounceMs = 500 }) {
+  let map = new Map();
+  let dirty = false;
+  let timer = null;
+  // status.json stays a plain list of records; meta lives next to it
+  const metaFile = file.replace(/\.json$/, "") + ".meta.json";
+  let meta = null;
+
+  // Write to a temp file and rename over the old one, so a crash mid-write
+  // leaves the previous snapshot intact
+  function writeNow() {
+    clearTimeout(timer);
+    timer = null;
+    if (!dirty) return;
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(Array.from(map.entries())), "utf8");
+    fs.renameSync(tmp, file);
+    dirty = false;
+  }
+
+  function loadMeta() {
+    if (!meta) meta = fs.existsSync(metaFile) ? JSON.parse(fs.readFileSync(metaFile, "utf8")) : {};
+    return meta;
+  }
+
+  function schedule() {
+    dirty = true;
+    if (timer) return;
+    timer = setTimeout(() => {
+      try { writeNow(); } catch (e) { console.warn("json store save failed:", e.message); }
+    }, debounceMs);
+  }
+
+  return {
+    name: "json",
+    loadAll() {
+      map = new Map(readStatusJson(file) || []);
+      return new Map(map);
+    },
+    upsert(callsign, rec) {
+      map.set(callsign, rec);
+      schedule();
+    },
+    remove(callsign) {
+      if (map.delete(callsign)) schedule();
+    },
+    getMeta(key) {
+      return loadMeta()[key] ?? null;
+    },
+    setMeta(key, value) {
+      loadMeta()[key] = value;
+      const tmp = `${metaFile}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(meta), "utf8");
+      fs.renameSync(tmp, metaFile);
+    },
+    flush: writeNow,
+    close: writeNow,
+  };
+}
+
+function readStatusJson(file) {
+  if (!fs.existsSync(file)) return null;
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  return Array.isArray(raw) ? raw : Object.entries(raw || {});
+}
+
+// ---------- SQLite ----------
+// Append-only: each entry runs once, in order, inside a transaction
+const MIGRATIONS = [
+  {
+    version: 1,
+    up: `
+      CREATE TABLE vehicle_status (
+        callsign   TEXT PRIMARY KEY,
+        record     TEXT NOT NULL,
+        updated_at TEXT
+      );
+      CREATE TABLE meta (
+        key   TEXT PRIMARY KEY,
+        value TEXT
+      );
+    `,
+  },
+];
+
+function migrate(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version    INTEGER PRIMARY KEY,
+    applied_at TEXT NOT NULL
+  )`);
+  const current = db.prepare("SELECT COALESCE(MAX(version), 0) AS v FROM schema_migrations").get().v;
+
+  for (const m of MIGRATIONS) {
+    if (m.version <= current) continue;
+    db.transaction(() => {
+      db.exec(m.up);
+      db.prepare("INSERT INTO schema_migrations (version, applied_at) VALUES (?, ?)")
+        .run(m.version, new Date().toISOString());
+    })();
+    console.log(`sqlite store: applied migration ${m.version}`);
+  }
+}
+
+export function createSqliteStore({ file, importJsonFile = null }) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = NORMAL");
+  migrate(db);
+
+  const upsertStmt = db.prepare(`
+    INSERT INTO vehicle_status (callsign, record, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(callsign) DO UPDATE SET record = excluded.record, updated_at = excluded.updated_at
+  `);
+  const deleteStmt = db.prepare("DELETE FROM vehicle_status WHERE callsign = ?");
+  const getMeta = db.prepare("SELECT value FROM meta WHERE key = ?");
+  const setMeta = db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)");
+
+  // One-time import of a status.json left over from the json backend
+  if (importJsonFile && !getMeta.get("imported_status_json")) {
+    try {
+      const rows = readStatusJson(importJsonFile);
+      if (rows) {
+        db.transaction(() => {
+          for (const [cs, rec] of rows) upsertStmt.run(cs, JSON.stringify(rec), rec?.updatedAt || null);
+          setMeta.run("imported_status_json", JSON.stringify({ file: importJsonFile, rows: rows.length, at: new Date().toISOString() }));
+        })();
+        console.log(`sqlite store: imported ${rows.length} records from ${importJsonFile}`);
+      }
+    } catch (e) {
+      console.warn(`sqlite store: import of ${importJsonFile} failed:`, e.message);
+    }
+  }
+
+  return {
+    name: "sqlite",
+    db,
+    loadAll() {
+      const map = new Map();
+      for (const row of db.prepare("SELECT callsign, record FROM vehicle_status").iterate()) {
+        try { map.set(row.callsign, JSON.parse(row.record)); } catch {}
+      }
+      return map;
+    },
+    upsert(callsign, rec) {
+      upsertStmt.run(callsign, JSON.stringify(rec), rec?.updatedAt || null);
+    },
+    remove(callsign) {
+      deleteStmt.run(callsign);
+    },
+    getMeta(key) {
+      const row = getMeta.get(key);
+      if (!row) return null;
+      try { return JSON.parse(row.value); } catch { return null; }
+    },
+    setMeta(key, value) {
+      setMeta.run(key, JSON.stringify(value));
+    },
+    flush() {
+      db.pragma("wal_checkpoint(PASSIVE)");
+    },
+    close() {
+      if (db.open) db.close();
+    },
+  };
+}
+
+export function createStore({ backend, statusFile, sqliteFile }) {
+  if (backend === "json") return createJsonStore({ file: statusFile });
+  if (backend === "sqlite") return createSqliteStore({ file: sqliteFile, importJsonFile: statusFile });
+  throw new Error(`Unknown STORE_BACKEND "${backend}" (use sqlite or json)`);
+}
@@ -0,0 +1,227 @@
+// tenants.js — several fleets (tenants) on one deployment
+//
+//   node tenants.js            (npm run tenants)
+//
+// Each tenant in TENANTS_FILE gets its own server.js process with its own
+// Autocab key, webhook secrets, capability filter, branding and storage under
+// TENANT_DATA_DIR/<tenant>/. Nothing in server.js is shared between them
+// (records, SSE clients, sessions, sweepers), so isolation does not depend on
+// every global being tenant-aware. This process listens on PORT and forwards
+//
+//   /t/<tenant>/webhook/Status      -> the tenant's /webhook/Status
+//   /t/<tenant>/api/status          -> the tenant's /api/status
+//   /t/<tenant>/...                 -> pages, SSE, everything else
+//
+// with the prefix stripped; the tenant process knows it as BASE_PATH for
+// redirects and cookies. Request bodies are streamed untouched, so webhook
+// HMAC signatures still verify. A tenant process that exits is restarted.
+//
+// TENANTS_FILE (see tenants.example.json):
+//   { "<tenant>": { "name", "autocabKey", "webhookSecret", "webhookToken",
+//                   "capability": { "id", "name" }, "brand": { "letter", "title" },
+//                   "env": { ...any other server.js setting for this tenant } } }
+import http from "http";
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SERVER_JS = path.join(__dirname, "server.js");
+
+const PORT            = Number(process.env.PORT || 4000);
+const TENANTS_FILE    = process.env.TENANTS_FILE || "./tenants.json";
+const TENANT_DATA_DIR = process.env.TENANT_DATA_DIR || "./tenants";
+const TENANT_PORT_BASE = Number(process.env.TENANT_PORT_BASE || PORT + 1);
+const TRUST_PROXY_HOPS = Number(process.env.TRUST_PROXY_HOPS || 1);
+
+const TENANT_ID = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const RESTART_MIN_MS = 2000;
+const RESTART_MAX_MS = 60000;
+
+// Webhook secrets would leak between tenants if inherited from this process's
+// environment or .env, so every one is set per tenant (empty when not configured)
+const WEBHOOK_SECRETS = ["WEBHOOK_SECRET", "WEBHOOK_SECRET_HACKNEYLOCATION", "WEBHOOK_SECRET_STATUS", "WEBHOOK_SECRET_SHIFTCHANGE"];
+// ...and the ones this process decides
+const FIXED_ENV = ["PORT", "LISTEN_HOST", "BASE_PATH", "TRUST_PROXY_HOPS"];
+
+function loadTenants() {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(TENANTS_FILE, "utf8"));
+  } catch (e) {
+    console.error(`Refusing to start: cannot read ${TENANTS_FILE}:`, e.message);
+    process.exit(1);
+  }
+  const tenants = Object.entries(raw || {}).map(([id, t], i) => {
+    if (!TENANT_ID.test(id)) {
+      console.error(`Refusing to start: tenant id "${id}" must be lowercase letters, digits and dashes`);
+      process.exit(1);
+    }
+    return { id, config: t || {}, port: TENANT_PORT_BASE + i };
+  });
+  if (!tenants.length) {
+    console.error(`Refusing to start: no tenants in ${TENANTS_FILE}`);
+    process.exit(1);
+  }
+  return tenants;
+}
+
+function tenantEnv(tenant) {
+  const { id, config: t, port } = tenant;
+  const dir = path.resolve(TENANT_DATA_DIR, id);
+  fs.mkdirSync(dir, { recursive: true });
+  const file = (name) => path.join(dir, name);
+
+  const env = {
+    ...process.env,
+    AUTOCAB_KEY: t.autocabKey || "",
+    ...Object.fromEntries(WEBHOOK_SECRETS.flatMap(k => [[k, ""], [`${k}_PREVIOUS`, ""]])),
+    WEBHOOK_TOKEN: t.webhookToken || "",
+    WEBHOOK_SECRET: t.webhookSecret || "",
+    WEBHOOK_SECRET_PREVIOUS: t.webhookSecretPrevious || "",
+    FLEET_CAPABILITY: String(t.capability?.id ?? 14),
+    FLEET_CAPABILITY_NAME: t.capability?.name ?? "hackney",
+    BRAND_LETTER: t.brand?.letter || (t.name || id).slice(0, 1).toUpperCase(),
+    BRAND_TITLE: t.brand?.title || t.name || id,
+    USERS_FILE: file("users.json"),
+    STATUS_FILE: file("status.json"),
+    SQLITE_FILE: file("status.db"),
+    RANKS_FILE: file("ranks.json"),
+    KIOSK_FILE: file("kiosk.json"),
+    ALERTS_FILE: file("alerts.json"),
+    WATCHLISTS_FILE: file("watchlists.json"),
+    HISTORY_DIR: file("history"),
+    AUDIT_FILE: file("audit.ndjson"),
+    ARCHIVE_DIR: file("archive"),
+    STATS_FILE: file("stats.db"),
+    CAPTURE_DIR: "",
+    REDIS_PREFIX: `${process.env.REDIS_PREFIX || "hackney:"}${id}:`,
+  };
+  if (process.env.INSTANCE_ID) env.INSTANCE_ID = `${process.env.INSTANCE_ID}-${id}`;
+  for (const [k, v] of Object.entries(t.env || {})) {
+    if (!FIXED_ENV.includes(k)) env[k] = String(v);
+  }
+  env.PORT = String(port);
+  env.LISTEN_HOST = "127.0.0.1";
+  env.BASE_PATH = `/t/${id}`;
+  // Only this router: proxy() hands on the client address it resolved itself
+  env.TRUST_PROXY_HOPS = "1";
+  return env;
+}
+
+// ---------- Tenant processes ----------
+let stopping = false;
+
+function startTenant(tenant) {
+  const child = spawn(process.execPath, [SERVER_JS], {
+    cwd: __dirname,
+    env: tenantEnv(tenant),
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  tenant.child = child;
+  tenant.startedAt = Date.now();
+
+  for (const [stream, log] of [[child.stdout, console.log], [child.stderr, console.error]]) {
+    readline.createInterface({ input: stream }).on("line", (line) => log(`[${tenant.id}] ${line}`));
+  }
+
+  child.on("exit", (code, signal) => {
+    tenant.child = null;
+    if (stopping) return;
+    // Back off when it keeps dying straight after start
+    const ranMs = Date.now() - tenant.startedAt;
+    tenant.restartDelay = ranMs > RESTART_MAX_MS ? RESTART_MIN_MS : Math.min((tenant.restartDelay || RESTART_MIN_MS / 2) * 2, RESTART_MAX_MS);
+    tenant.restarts = (tenant.restarts || 0) + 1;
+    console.error(`[${tenant.id}] exited (${signal || code}); restarting in ${tenant.restartDelay / 1000}s`);
+    setTimeout(() => { if (!stopping) startTenant(tenant); }, tenant.restartDelay);
+  });
+}
+
+// ---------- Router ----------
+const tenants = loadTenants();
+const byId = new Map(tenants.map(t => [t.id, t]));
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(body));
+}
+
+// The client as Express would resolve req.ip with TRUST_PROXY_HOPS: that many
+// addresses in from the right of X-Forwarded-For plus the socket. Anything
+// further left was written by the client and cannot be trusted.
+function clientAddress(req) {
+  const chain = String(req.headers["x-forwarded-for"] || "").split(",").map(s => s.trim()).filter(Boolean);
+  chain.push(req.socket.remoteAddress || "");
+  return chain[Math.max(0, chain.length - 1 - TRUST_PROXY_HOPS)];
+}
+
+function proxy(req, res, tenant, rest) {
+  const headers = { ...req.headers };
+  // Replaced, not appended to, so the tenant (trusting one hop) sees only what we resolved
+  headers["x-forwarded-for"] = clientAddress(req);
+  const proto = TRUST_PROXY_HOPS > 0 && String(headers["x-forwarded-proto"] || "").split(",")[0].trim();
+  headers["x-forwarded-proto"] = proto || (req.socket.encrypted ? "https" : "http");
+
+  const upstream = http.request(
+    { host: "127.0.0.1", port: tenant.port, method: req.method, path: rest, headers },
+    (up) => {
+      res.writeHead(up.statusCode, up.headers);
+      up.pipe(res);
+    }
+  );
+  upstream.on("error", (e) => {
+    if (res.headersSent) return res.destroy();
+    sendJson(res, 502, { ok: false, error: `Tenant ${tenant.id} unavailable: ${e.code || e.message}` });
+  });
+  // SSE clients and aborted uploads: drop the upstream side too
+  res.on("close", () => upstream.destroy());
+  req.pipe(upstream);
+}
+
+const server = http.createServer((req, res) => {
+  const url = req.url || "/";
+  if (url === "/healthz") {
+    const status = Object.fromEntries(tenants.map(t => [t.id, { up: !!t.child, pid: t.child?.pid ?? null, restarts: t.restarts || 0 }]));
+    return sendJson(res, tenants.every(t => t.child) ? 200 : 503, { ok: tenants.every(t => t.child), tenants: status });
+  }
+
+  const m = /^\/t\/([^/?]+)(\/[^]*)?$/.exec(url.split("?")[0]);
+  const tenant = m && byId.get(m[1]);
+  if (!tenant) return sendJson(res, 404, { ok: false, error: "Unknown tenant" });
+
+  // /t/acme -> /t/acme/ so the pages' relative URLs resolve below the prefix
+  if (!m[2]) {
+    const query = url.includes("?") ? url.slice(url.indexOf("?")) : "";
+    res.writeHead(301, { Location: `/t/${tenant.id}/${query}` });
+    return res.end();
+  }
+  proxy(req, res, tenant, url.slice(`/t/${tenant.id}`.length));
+});
+
+function shutdown(signal) {
+  if (stopping) return;
+  console.log(`${signal}: stopping ${tenants.length} tenant(s)`);
+  stopping = true;
+  server.close();
+  const running = tenants.filter(t => t.child);
+  if (!running.length) process.exit(0);
+  let left = running.length;
+  for (const t of running) {
+    t.child.once("exit", () => { if (--left === 0) process.exit(0); });
+    t.child.kill("SIGTERM");
+  }
+  setTimeout(() => process.exit(1), 10000).unref();
+}
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
+for (const t of tenants) startTenant(t);
+server.listen(PORT, () => {
+  console.log(`Tenant router listening on http://localhost:${PORT}`);
+  for (const t of tenants) console.log(`  /t/${t.id}/ -> 127.0.0.1:${t.port} (${t.config.name || t.id})`);
+});
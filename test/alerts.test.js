@@ -0,0 +1,148 @@
+// Alert rules and the engine's fire / resolve cycle. Run with: npm test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAlertEngine } from "../alerts.js";
+
+const NOW = Date.parse("2026-01-05T10:00:00Z");
+const minutesAgo = (m) => new Date(NOW - m * 60000).toISOString();
+
+// Nothing is sent (there are no notify targets), but every send asks canNotify first
+function engine(rules, persist = null) {
+  const changes = [];
+  const sends = [];
+  const e = createAlertEngine({
+    rules,
+    notify: {},
+    persist,
+    onChange: (event, alert) => changes.push([event, alert.id]),
+    canNotify: () => { sends.push(1); return false; },
+  });
+  e.changes = changes;
+  e.sends = sends;
+  return e;
+}
+
+// What the server keeps in its store
+function memoryPersist() {
+  let saved = null;
+  return { load: () => saved && JSON.parse(saved), save: (state) => { saved = JSON.stringify(state); } };
+}
+
+// A car that was on shift and stopped pinging 20 minutes ago
+const silent = (callsign, extra = {}) => ({
+  callsign,
+  rec: { explicitOnline: true, lastPingAt: minutesAgo(20) },
+  online: false,
+  code: "Clear",
+  suspended: false,
+  override: null,
+  ...extra,
+});
+
+test("pingTimeout fires for an on-shift car that went silent", () => {
+  const e = engine([{ id: "silent", type: "pingTimeout" }]);
+  e.evaluate([silent("214")], NOW);
+  assert.deepEqual(e.list().active.map(a => a.id), ["silent:214"]);
+});
+
+test("pingTimeout ignores a car a dispatcher forced offline", () => {
+  const e = engine([{ id: "silent", type: "pingTimeout" }]);
+  e.evaluate([silent("214", { override: "offline" }), silent("215", { override: "break" })], NOW);
+  assert.deepEqual(e.list().active.map(a => a.id), ["silent:215"]);
+
+  // Once the override is cleared, a car that really is silent does alert
+  e.evaluate([silent("214"), silent("215", { override: "break" })], NOW + 60000);
+  assert.deepEqual(e.list().active.map(a => a.id).sort(), ["silent:214", "silent:215"]);
+});
+
+test("pingTimeout resolves once the last ping is older than maxMinutes", () => {
+  const e = engine([{ id: "silent", type: "pingTimeout", maxMinutes: 60 }]);
+  e.evaluate([silent("214")], NOW);
+  assert.equal(e.list().active.length, 1);
+
+  // Went home without a shift end: 61 minutes since the last ping
+  e.evaluate([silent("214")], NOW + 41 * 60000);
+  assert.equal(e.list().active.length, 0);
+  assert.deepEqual(e.changes, [["fired", "silent:214"], ["resolved", "silent:214"]]);
+
+  // ...and a car silent that long is not picked up again
+  e.evaluate([silent("215", { rec: { explicitOnline: true, lastPingAt: minutesAgo(300) } })], NOW);
+  assert.equal(e.list().active.length, 0);
+});
+
+test("statusDuration counts from the record's statusSince, not from when the engine started", () => {
+  const rule = { id: "clear-long", type: "statusDuration", code: "Clear", seconds: 1800 };
+  const car = { callsign: "214", rec: {}, online: true, code: "Clear", suspended: false, override: null };
+
+  // Clear for 40 minutes according to the record: fires on the first evaluation
+  const e = engine([rule]);
+  e.evaluate([{ ...car, statusSinceMs: NOW - 40 * 60000 }], NOW);
+  assert.deepEqual(e.list().active.map(a => a.id), ["clear-long:214"]);
+
+  // Without statusSince it falls back to when the engine first saw the code
+  const fresh = engine([rule]);
+  fresh.evaluate([{ ...car }], NOW);
+  fresh.evaluate([{ ...car }], NOW + 29 * 60000);
+  assert.equal(fresh.list().active.length, 0);
+  fresh.evaluate([{ ...car }], NOW + 31 * 60000);
+  assert.equal(fresh.list().active.length, 1);
+});
+
+test("a restart restores standing alerts without firing or notifying them again", () => {
+  const persist = memoryPersist();
+  const rules = [{ id: "silent", type: "pingTimeout" }];
+
+  const first = engine(rules, persist);
+  first.evaluate([silent("214")], NOW);
+  assert.equal(first.sends.length, 1);
+
+  const second = engine(rules, persist);
+  assert.deepEqual(second.list().active.map(a => a.id), ["silent:214"]);
+  second.evaluate([silent("214")], NOW + 60000);
+  assert.deepEqual(second.changes, []);
+  assert.equal(second.sends.length, 0);
+
+  // A standing alert that cleared while we were down resolves normally
+  second.evaluate([], NOW + 120000);
+  assert.deepEqual(second.changes, [["resolved", "silent:214"]]);
+});
+
+test("cooldowns survive a restart", () => {
+  const persist = memoryPersist();
+  const rules = [{ id: "silent", type: "pingTimeout", cooldownSeconds: 900 }];
+
+  const first = engine(rules, persist);
+  first.evaluate([silent("214")], NOW);
+  first.evaluate([], NOW + 60000);                 // resolved
+  assert.equal(first.sends.length, 1);
+
+  // Restarted, and the car goes silent again five minutes later: fired, not re-sent
+  const second = engine(rules, persist);
+  second.evaluate([silent("214")], NOW + 5 * 60000);
+  assert.deepEqual(second.changes, [["fired", "silent:214"]]);
+  assert.equal(second.sends.length, 0);
+
+  // After the cooldown it is sent again
+  second.evaluate([], NOW + 6 * 60000);
+  second.evaluate([silent("214")], NOW + 16 * 60000);
+  assert.equal(second.sends.length, 1);
+});
+
+test("erasing a callsign drops its alerts, recent history and cooldowns, and saves that", () => {
+  const persist = memoryPersist();
+  const rules = [{ id: "silent", type: "pingTimeout" }];
+  const e = engine(rules, persist);
+  e.evaluate([silent("214"), silent("215")], NOW);
+  e.evaluate([silent("215")], NOW + 60000); // 214 resolved: now only in recent
+
+  assert.equal(e.erase("214", NOW + 120000), 2);
+  const { active, recent } = e.list(); // what /api/alerts answers
+  assert.deepEqual(active.map(a => a.callsign), ["215"]);
+  assert.deepEqual(recent.map(a => a.callsign), ["215"]);
+  assert.deepEqual(e.changes, [["fired", "silent:214"], ["fired", "silent:215"], ["resolved", "silent:214"]]);
+
+  // Gone from the store too, cooldown included
+  const saved = persist.load();
+  assert.deepEqual(saved.active.map(a => a.callsign), ["215"]);
+  assert.deepEqual(Object.keys(saved.lastNotifiedAt), ["silent:215"]);
+});
@@ -0,0 +1,148 @@
+// Out-of-order arrival matrix for merge.js. Run with: npm test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeEvent } from "../merge.js";
+
+const GRACE = { shiftEndGraceMs: 60000 };
+const at = (hhmmss) => `2026-10-19T${hhmmss}Z`;
+
+const shiftStart = (t, label = "On Shift") => ({ source: "shift", ts: at(t), shiftOn: true, shiftLabel: label });
+const shiftEnd   = (t) => ({ source: "shift", ts: at(t), shiftOn: false, shiftLabel: "Off Shift" });
+const shiftLabel = (t, label) => ({ source: "shift", ts: at(t), shiftOn: null, shiftLabel: label });
+const status     = (t, code, label = code) => ({ source: "status", ts: at(t), code, label });
+const ping       = (t, position = null) => ({ source: "heartbeat", ts: at(t), position });
+const defaulted  = (ev) => ({ ...ev, tsDefaulted: true });
+
+// Apply events in arrival order; returns the final record and each event's outcome
+function run(events, start = undefined) {
+  let rec = start;
+  const outcomes = [];
+  for (const ev of events) {
+    const r = mergeEvent(rec, ev, GRACE);
+    outcomes.push(r.applied ? "applied" : r.reason);
+    if (r.applied) rec = r.rec;
+  }
+  return { rec, outcomes };
+}
+
+function permutations(arr) {
+  if (arr.length <= 1) return [arr];
+  return arr.flatMap((x, i) => permutations([...arr.slice(0, i), ...arr.slice(i + 1)]).map(p => [x, ...p]));
+}
+
+const summary = (rec) => ({
+  explicitOnline: rec.explicitOnline,
+  shiftOn: rec.shiftOn,
+  driverStatusCode: rec.driverStatusCode,
+  driverStatusLabel: rec.driverStatusLabel,
+  lastPingAt: rec.lastPingAt,
+  updatedAt: rec.updatedAt,
+});
+
+// Each row: events in arrival order, expected outcomes and final fields
+const MATRIX = [
+  {
+    name: "late shift end after a slightly newer status track is not lost",
+    events: [shiftStart("09:00:00"), status("10:00:01", "Clear"), shiftEnd("10:00:00")],
+    outcomes: ["applied", "applied", "applied"],
+    expect: { explicitOnline: false, shiftOn: false },
+  },
+  {
+    name: "status well after a shift end re-opens the shift (missed logon)",
+    events: [shiftEnd("10:00:00"), status("10:05:00", "Clear")],
+    outcomes: ["applied", "applied"],
+    expect: { explicitOnline: true, driverStatusLabel: "Clear" },
+  },
+  {
+    name: "status inside the grace window does not re-open the shift",
+    events: [shiftEnd("10:00:00"), status("10:00:30", "Clear")],
+    outcomes: ["applied", "applied"],
+    expect: { explicitOnline: false },
+  },
+  {
+    name: "pings never re-open a shift that ShiftChange closed",
+    events: [shiftStart("09:00:00"), shiftEnd("10:00:00"), ping("10:30:00")],
+    outcomes: ["applied", "applied", "applied"],
+    expect: { explicitOnline: false, lastPingAt: at("10:30:00") },
+  },
+  {
+    name: "an older status is dropped against the status watermark only",
+    events: [status("10:00:05", "JobOffered"), status("10:00:01", "Clear"), shiftStart("10:00:00")],
+    outcomes: ["applied", "older", "applied"],
+    expect: { driverStatusCode: "JobOffered", explicitOnline: true },
+  },
+  {
+    name: "an older ping does not block a status or shift event",
+    events: [ping("10:10:00"), status("10:05:00", "Clear"), shiftStart("10:04:00")],
+    outcomes: ["applied", "applied", "applied"],
+    expect: { lastPingAt: at("10:10:00"), driverStatusCode: "Clear", explicitOnline: true },
+  },
+  {
+    name: "a ping without a timestamp does not move the heartbeat watermark",
+    events: [defaulted(ping("10:05:00")), ping("10:01:00", { lat: 51.5, lng: -0.05 })],
+    outcomes: ["applied", "applied"],
+    expect: { lastPingAt: at("10:05:00") },
+  },
+  {
+    name: "a status without a timestamp can be overwritten by a late timestamped one",
+    events: [status("10:00:00", "Clear"), defaulted(status("10:05:00", "JobOffered")), status("10:01:00", "BusyMeterOff")],
+    outcomes: ["applied", "applied", "applied"],
+    expect: { driverStatusCode: "BusyMeterOff" },
+  },
+  {
+    name: "label is the newer of shift and status labels",
+    events: [shiftStart("10:00:00"), status("10:01:00", "Clear"), shiftLabel("10:02:00", "On Break"), status("09:59:00", "JobOffered")],
+    outcomes: ["applied", "applied", "applied", "older"],
+    expect: { driverStatusLabel: "On Break", driverStatusCode: "Clear", explicitOnline: true },
+  },
+  {
+    name: "same timestamp on the same source is applied (last arrival wins)",
+    events: [status("10:00:00", "Clear"), status("10:00:00", "JobOffered")],
+    outcomes: ["applied", "applied"],
+    expect: { driverStatusCode: "JobOffered" },
+  },
+  {
+    name: "records from before watermarks use updatedAt for every source",
+    start: { updatedAt: at("10:00:00"), explicitOnline: true, driverStatusLabel: "Clear", driverStatusCode: "Clear", lastPingAt: at("10:00:00") },
+    events: [shiftEnd("09:59:00"), status("10:00:00", "JobOffered")],
+    outcomes: ["older", "applied"],
+    expect: { explicitOnline: true, driverStatusCode: "JobOffered" },
+  },
+];
+
+for (const row of MATRIX) {
+  test(row.name, () => {
+    const { rec, outcomes } = run(row.events, row.start);
+    assert.deepEqual(outcomes, row.outcomes);
+    for (const [k, v] of Object.entries(row.expect)) assert.equal(rec[k], v, k);
+  });
+}
+
+test("final state does not depend on arrival order", () => {
+  const events = [shiftStart("09:00:00"), ping("09:30:00"), status("10:00:01", "Clear"), shiftEnd("10:00:00"), ping("10:00:20")];
+  const expected = summary(run(events).rec);
+  assert.equal(expected.explicitOnline, false);
+
+  for (const order of permutations(events)) {
+    // Events older than their source's watermark are dropped, which is fine:
+    // the newer one from the same source already carries the final value
+    assert.deepEqual(summary(run(order).rec), expected, order.map(e => `${e.source}@${e.ts}`).join(" "));
+  }
+});
+
+test("updatedAt never goes backwards", () => {
+  let rec;
+  let last = 0;
+  for (const ev of [status("10:00:00", "Clear"), shiftEnd("09:00:00"), ping("09:30:00"), defaulted(ping("08:00:00"))]) {
+    const r = mergeEvent(rec, ev, GRACE);
+    if (r.applied) rec = r.rec;
+    const t = Date.parse(rec.updatedAt);
+    assert.ok(t >= last);
+    last = t;
+  }
+});
+
+test("unparseable timestamps and unknown sources are refused", () => {
+  assert.equal(mergeEvent({}, { source: "status", ts: "yesterday", code: "Clear" }).reason, "bad-timestamp");
+  assert.throws(() => mergeEvent({}, { source: "gps", ts: at("10:00:00") }));
+});
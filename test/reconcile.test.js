@@ -0,0 +1,172 @@
+// Reconciler against a local mock of the Autocab endpoints. Run with: npm test
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { createReconciler, planCorrections } from "../reconcile.js";
+import { mergeEvent } from "../merge.js";
+
+// Well before the real clock, which the reconciler's fetches start at
+const at = (hhmmss) => `2026-01-05T${hhmmss}Z`;
+
+// What the mock Autocab API serves; tests replace these
+let tracks = [];
+let shifts = [];
+let shiftsStatus = 200;
+const seenKeys = [];
+
+const server = http.createServer((req, res) => {
+  seenKeys.push(req.headers["ocp-apim-subscription-key"]);
+  const path = req.url.split("?")[0];
+  if (path === "/vehicle/v1/vehicletracks") {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ VehicleTracks: tracks }));
+  }
+  if (path === "/driver/v1/shifts/active" && shiftsStatus === 200) {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify(shifts));
+  }
+  res.writeHead(shiftsStatus === 200 ? 404 : shiftsStatus).end();
+});
+
+let reconciler;
+before(async () => {
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  reconciler = createReconciler({
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    key: "test-key",
+    tracksPath: "/vehicle/v1/vehicletracks",
+    shiftsPath: "/driver/v1/shifts/active",
+  });
+});
+after(() => server.close());
+
+// A record as the webhooks would have left it
+function recordFrom(events) {
+  let rec;
+  for (const ev of events) {
+    const r = mergeEvent(rec, ev);
+    if (r.applied) rec = r.rec;
+  }
+  return rec;
+}
+
+test("fetches both lists with the Autocab key", async () => {
+  tracks = [{ Vehicle: { Callsign: "214" }, VehicleStatus: "Clear", Timestamp: at("10:00:00") }];
+  shifts = [{ Vehicle: { Callsign: "214" }, ShiftStatus: "Started", Timestamp: at("09:00:00") }];
+  shiftsStatus = 200;
+  seenKeys.length = 0;
+
+  const snap = await reconciler.fetchSnapshot();
+  assert.deepEqual(snap.tracks, [{ callsign: "214", code: "Clear", ts: at("10:00:00"), tsDefaulted: false }]);
+  assert.deepEqual([...snap.shifts], [["214", { ts: at("09:00:00"), tsDefaulted: false }]]);
+  assert.deepEqual(snap.errors, {});
+  assert.deepEqual(seenKeys, ["test-key", "test-key"]);
+});
+
+test("a missed shift end is corrected and stays corrected", async () => {
+  tracks = [];
+  shifts = [];
+  const records = new Map([
+    ["214", recordFrom([{ source: "shift", ts: at("09:00:00"), shiftOn: true, shiftLabel: "On Shift" }])],
+  ]);
+
+  const snap = await reconciler.fetchSnapshot();
+  const plan = planCorrections(records, snap);
+  assert.deepEqual(plan.map(c => [c.callsign, c.reason]), [["214", "missed-shift-end"]]);
+
+  // Ended as of the last we heard from it, not as of the fetch
+  assert.equal(plan[0].event.ts, at("09:00:00"));
+  const merged = mergeEvent(records.get("214"), plan[0].event);
+  assert.equal(merged.applied, true);
+  assert.equal(merged.rec.explicitOnline, false);
+
+  // The lost logoff arriving late is still taken (its time is the real end), and the shift stays closed
+  const late = mergeEvent(merged.rec, { source: "shift", ts: at("09:30:00"), shiftOn: false, shiftLabel: "Off Shift" });
+  assert.equal(late.applied, true);
+  assert.equal(late.rec.explicitOnline, false);
+});
+
+test("only shifts a ShiftChange opened are ended", async () => {
+  tracks = [];
+  shifts = [];
+  const records = new Map([
+    // Online from HackneyLocation pings and Status tracks alone
+    ["214", recordFrom([{ source: "heartbeat", ts: at("09:00:00"), position: null }])],
+    ["215", recordFrom([{ source: "status", ts: at("09:00:00"), code: "Clear" }])],
+  ]);
+  assert.equal(records.get("214").explicitOnline, true);
+  assert.deepEqual(planCorrections(records, await reconciler.fetchSnapshot()), []);
+});
+
+test("a shift start correction does not drop a ShiftChange still in flight", async () => {
+  tracks = [];
+  shifts = [{ Vehicle: { Callsign: "300" }, ShiftStatus: "Started", Timestamp: at("09:00:00") }];
+  const [c] = planCorrections(new Map(), await reconciler.fetchSnapshot());
+  assert.equal(c.reason, "missed-shift-start");
+  assert.equal(c.event.ts, at("09:00:00"));
+  const rec = mergeEvent(undefined, c.event).rec;
+
+  // The driver's logoff at 09:30 was still on its way when we fetched
+  const logoff = mergeEvent(rec, { source: "shift", ts: at("09:30:00"), shiftOn: false, shiftLabel: "Off Shift" });
+  assert.equal(logoff.applied, true);
+  assert.equal(logoff.rec.explicitOnline, false);
+
+  // A list item without a timestamp moves no watermark at all
+  shifts = [{ Vehicle: { Callsign: "301" } }];
+  const [d] = planCorrections(new Map(), await reconciler.fetchSnapshot());
+  assert.equal(d.event.tsDefaulted, true);
+  assert.equal(mergeEvent(undefined, d.event).rec.watermarks.shift, null);
+});
+
+test("callsigns with a ShiftChange newer than the fetch are left alone", () => {
+  const fetchedAt = at("10:00:00");
+  const records = new Map([
+    ["214", recordFrom([{ source: "shift", ts: at("10:00:05"), shiftOn: true }])],
+    ["215", recordFrom([{ source: "shift", ts: at("10:00:05"), shiftOn: false }])],
+  ]);
+  // The lists were read before either webhook: 214 missing, 215 listed
+  const snap = { fetchedAt, tracks: [], shifts: new Map([["215", { ts: fetchedAt, tsDefaulted: true }]]), errors: {} };
+  assert.deepEqual(planCorrections(records, snap), []);
+});
+
+test("a shift and status missed while we were down are picked up", async () => {
+  tracks = [{ Vehicle: { Callsign: "300" }, VehicleStatus: "JobOffered", Timestamp: at("10:05:00") }];
+  shifts = [{ Vehicle: { Callsign: "300" }, ShiftStatus: "Started" }];
+  const snap = await reconciler.fetchSnapshot();
+  const plan = planCorrections(new Map(), snap, { labelFor: (code) => `label:${code}` });
+
+  assert.deepEqual(plan.map(c => c.reason), ["status-mismatch", "missed-shift-start"]);
+  let rec;
+  for (const c of plan) rec = mergeEvent(rec, c.event).rec;
+  assert.equal(rec.explicitOnline, true);
+  assert.equal(rec.driverStatusCode, "JobOffered");
+});
+
+test("tracks no newer than our status watermark are left alone", async () => {
+  tracks = [
+    { Vehicle: { Callsign: "214" }, VehicleStatus: "Clear", Timestamp: at("10:00:00") },
+    { Vehicle: { Callsign: "215" }, VehicleStatus: "Clear", Timestamp: at("10:10:00") },
+  ];
+  shifts = [{ Vehicle: { Callsign: "214" } }, { Vehicle: { Callsign: "215" } }];
+  const records = new Map([
+    ["214", recordFrom([{ source: "status", ts: at("10:01:00"), code: "BusyMeterOn" }])],
+    ["215", recordFrom([{ source: "status", ts: at("10:01:00"), code: "BusyMeterOn" }])],
+  ]);
+
+  const plan = planCorrections(records, await reconciler.fetchSnapshot());
+  assert.deepEqual(plan.map(c => [c.callsign, c.reason, c.detail]), [["215", "status-mismatch", "BusyMeterOn -> Clear"]]);
+});
+
+test("an unavailable shifts list is reported and never ends shifts", async () => {
+  tracks = [];
+  shiftsStatus = 503;
+  const records = new Map([
+    ["214", recordFrom([{ source: "shift", ts: at("09:00:00"), shiftOn: true }])],
+  ]);
+
+  const snap = await reconciler.fetchSnapshot();
+  assert.equal(snap.shifts, null);
+  assert.equal(snap.errors.shifts, "HTTP 503");
+  assert.deepEqual(planCorrections(records, snap), []);
+  shiftsStatus = 200;
+});
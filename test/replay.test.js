@@ -0,0 +1,49 @@
+// The replay server is isolated from live state. Run with: npm test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { replayServerEnv } from "../replay.js";
+
+const ENV_EXAMPLE = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", ".env.example");
+
+// Inputs the replay reads but never writes, and settings only tenants.js uses
+const READ_ONLY = ["RANKS_FILE", "KIOSK_FILE", "STATUS_CODES_FILE", "MAP_TILES_DIR", "TENANTS_FILE", "TENANT_DATA_DIR"];
+
+test("every file and directory setting points into the replay's temp dir", () => {
+  // Each path setting documented in .env.example, as a live deployment would set it
+  const keys = fs.readFileSync(ENV_EXAMPLE, "utf8").match(/^[A-Z0-9_]+(?==)/gm)
+    .filter(k => /_(FILE|DIR)$/.test(k));
+  assert.ok(keys.includes("STATS_FILE") && keys.includes("ARCHIVE_DIR"));
+  const live = Object.fromEntries(keys.map(k => [k, `/srv/live/${k.toLowerCase()}`]));
+
+  const dir = "/tmp/hackney-replay-test";
+  const env = replayServerEnv(dir, 4790, live);
+  for (const k of keys) {
+    if (READ_ONLY.includes(k)) continue;
+    assert.ok(env[k] === "" || env[k].startsWith(dir + path.sep), `${k}=${env[k]}`);
+  }
+});
+
+test("the replay reaches no live systems", () => {
+  const env = replayServerEnv("/tmp/x", 4790, {
+    SHARED_STATE: "redis",
+    REDIS_URL: "redis://live:6379",
+    VAPID_PUBLIC_KEY: "pub",
+    VAPID_PRIVATE_KEY: "priv",
+    AUTOCAB_KEY: "key",
+    WEBHOOK_SECRET: "s",
+    WEBHOOK_SECRET_STATUS: "s",
+    NODE_ENV: "production",
+  });
+  assert.equal(env.SHARED_STATE, "memory");
+  assert.equal(env.REDIS_URL, "");
+  assert.equal(env.VAPID_PUBLIC_KEY, "");
+  assert.equal(env.VAPID_PRIVATE_KEY, "");
+  assert.equal(env.AUTOCAB_KEY, "");
+  assert.equal(env.WEBHOOK_SECRET, "");
+  assert.equal(env.WEBHOOK_SECRET_STATUS, "");
+  assert.equal(env.NODE_ENV, "development");
+  assert.equal(env.PORT, "4790");
+});
@@ -0,0 +1,82 @@
+// Shift report from journal entries. Run with: npm test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildShiftReport, shiftReportCsv } from "../reports.js";
+
+const at = (hhmm, day = "05") => `2026-01-${day}T${hhmm}:00.000Z`;
+const ms = (iso) => Date.parse(iso);
+
+const CATEGORY = { Clear: "clear", BusyMeterOff: "dispatched", BusyMeterOnFromClear: "busy", JobOffered: "offered" };
+const entry = (callsign, hhmm, code, online, source = "Status", day = "05") =>
+  ({ callsign, ts: at(hhmm, day), code, online, source });
+
+const DAY = { fromMs: ms(at("00:00")), toMs: ms(at("00:00", "06")), nowMs: ms(at("12:00", "07")), categoryFor: (c) => CATEGORY[c] };
+
+test("splits on-shift time across report categories", () => {
+  const report = buildShiftReport([
+    entry("A1", "08:00", "Clear", true, "ShiftChange"),
+    entry("A1", "08:30", "JobOffered", true),
+    entry("A1", "08:32", "BusyMeterOff", true),
+    entry("A1", "08:40", "BusyMeterOnFromClear", true),
+    entry("A1", "09:00", "Clear", true),
+    entry("A1", "09:00", "Clear", true, "HackneyLocation"),
+    entry("A1", "10:00", "NotWorking", false, "ShiftChange"),
+  ], DAY);
+
+  const [a1] = report.callsigns;
+  assert.equal(a1.shiftCount, 1);
+  assert.equal(a1.onShiftMinutes, 120);
+  assert.deepEqual(a1.minutes, { clear: 90, dispatched: 8, busy: 20, offered: 2, other: 0 });
+  assert.equal(a1.shifts[0].endedBy, "ShiftChange");
+  assert.equal(a1.shifts[0].flag, null);
+});
+
+test("flags shifts closed by a ping timeout and shifts with no end", () => {
+  const report = buildShiftReport([
+    entry("B2", "08:00", "Clear", true, "ShiftChange"),
+    entry("B2", "09:00", "Clear", false, "timeout"),
+    entry("C3", "22:00", "Clear", true, "ShiftChange"),
+  ], { ...DAY, isOnlineNow: () => false });
+
+  const [b2, c3] = report.callsigns;
+  assert.equal(b2.shifts[0].flag, "timeout");
+  assert.equal(b2.onShiftMinutes, 60);
+  assert.equal(c3.shifts[0].flag, "open");
+  assert.equal(c3.shifts[0].end, null);
+  assert.equal(c3.shifts[0].clipped, true);
+  assert.equal(c3.onShiftMinutes, 120, "only the part inside the day counts");
+
+  const live = buildShiftReport([entry("C3", "22:00", "Clear", true, "ShiftChange")], { ...DAY, isOnlineNow: () => true });
+  assert.equal(live.callsigns[0].shifts[0].inProgress, true);
+  assert.equal(live.callsigns[0].shifts[0].flag, null);
+});
+
+test("a shift that ends after the range is clipped, not open", () => {
+  const report = buildShiftReport([
+    entry("D4", "23:00", "Clear", true, "ShiftChange", "04"),
+    entry("D4", "01:00", "Clear", false, "ShiftChange"),
+    entry("D4", "23:00", "Clear", true, "ShiftChange"),
+    entry("D4", "02:00", "Clear", false, "ShiftChange", "06"),
+  ], DAY);
+
+  const [d4] = report.callsigns;
+  assert.equal(d4.shiftCount, 2);
+  assert.deepEqual(d4.shifts.map(s => [s.onShiftMinutes, s.clipped, s.flag]), [[60, true, null], [60, true, null]]);
+});
+
+test("CSV has one row per callsign or per shift", () => {
+  const report = buildShiftReport([
+    entry("E5", "08:00", "Clear", true, "ShiftChange"),
+    entry("E5", "09:00", "Clear", false, "ShiftChange"),
+    entry("E5", "10:00", "Clear", true, "ShiftChange"),
+    entry("E5", "10:30", "Clear", false, "reconcile"),
+  ], DAY);
+
+  const summary = shiftReportCsv(report).trim().split("\r\n");
+  assert.equal(summary[0], "callsign,shifts,on_shift_minutes,clear_minutes,dispatched_minutes,busy_minutes,offered_minutes,other_minutes,flagged_shifts");
+  assert.equal(summary[1], "E5,2,90,90,0,0,0,0,1");
+
+  const shifts = shiftReportCsv(report, "shifts").trim().split("\r\n");
+  assert.equal(shifts.length, 3);
+  assert.match(shifts[2], /,reconcile,30,.*,reconcile$/);
+});
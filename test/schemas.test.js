@@ -0,0 +1,89 @@
+// Webhook item validation and its rejection reasons. Run with: npm test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { WEBHOOK_SCHEMAS, validateWebhook } from "../schemas.js";
+
+const NOW = "2026-01-05T10:00:00.000Z";
+const validate = (route, body, opts = {}) => validateWebhook(route, body, { now: NOW, ...opts });
+const reasons = (results) => results.map(r => r.ok ? "ok" : r.reason);
+
+test("a Status envelope is split into items with callsign and timestamp", () => {
+  const out = validate("Status", {
+    VehicleTracks: [
+      { Vehicle: { Callsign: "214" }, VehicleStatus: "Clear", Timestamp: "2026-01-05T09:59:00Z" },
+      { Driver: { Callsign: "215" }, VehicleStatus: "Busy", Timestamp: "2026-01-05T09:59:30Z" },
+    ],
+  });
+  assert.deepEqual(out.map(r => [r.ok, r.callsign, r.timestamp]), [
+    [true, "214", "2026-01-05T09:59:00Z"],
+    [true, "215", "2026-01-05T09:59:30Z"],
+  ]);
+});
+
+test("a bare array and a single object are accepted too", () => {
+  assert.deepEqual(reasons(validate("HackneyLocation", [{ callsign: "214" }, { callsign: "215" }])), ["ok", "ok"]);
+  const single = validate("ShiftChange", { Driver: { Callsign: "214" }, ShiftStatus: "Start" });
+  assert.equal(single.length, 1);
+  assert.equal(single[0].callsign, "214");
+});
+
+test("a missing optional timestamp falls back to receipt time", () => {
+  const [r] = validate("Status", { VehicleTracks: [{ Vehicle: { Callsign: "214" } }] });
+  assert.equal(r.ok, true);
+  assert.equal(r.timestamp, NOW);
+  assert.equal(r.timestampDefaulted, true);
+});
+
+test("items without a callsign are rejected one by one as no-callsign", () => {
+  const out = validate("Status", {
+    VehicleTracks: [
+      { Vehicle: { Callsign: "214" } },
+      { Vehicle: { Registration: "AB12 CDE" } },
+      { callsign: "" },
+    ],
+  });
+  assert.deepEqual(reasons(out), ["ok", "no-callsign", "no-callsign"]);
+  assert.deepEqual(out.map(r => r.index), [0, 1, 2]);
+});
+
+test("a single object with no known list key and no callsign is an unrecognised-shape", () => {
+  const [r] = validate("Status", { Tracks: [{ Vehicle: { Callsign: "214" } }] });
+  assert.equal(r.ok, false);
+  assert.equal(r.reason, "unrecognised-shape");
+  assert.match(r.detail, /Tracks/);
+
+  assert.equal(validate("Status", {})[0].reason, "unrecognised-shape");
+  assert.equal(validate("Status", null)[0].reason, "unrecognised-shape");
+});
+
+test("non-object items are not-an-object", () => {
+  assert.deepEqual(reasons(validate("HackneyLocation", [42, "214", [{ callsign: "214" }], null])),
+    ["not-an-object", "not-an-object", "not-an-object", "not-an-object"]);
+  assert.equal(validate("Status", "214")[0].reason, "not-an-object");
+});
+
+test("an unparseable timestamp is a bad-timestamp and keeps the callsign", () => {
+  const [r] = validate("Status", { VehicleTracks: [{ Vehicle: { Callsign: "214" }, Timestamp: "yesterday-ish" }] });
+  assert.equal(r.reason, "bad-timestamp");
+  assert.equal(r.callsign, "214");
+  assert.match(r.detail, /^Timestamp=/);
+});
+
+test("a route that requires a timestamp rejects items without one as missing-timestamp", () => {
+  const schemas = {
+    ...WEBHOOK_SCHEMAS,
+    Status: { ...WEBHOOK_SCHEMAS.Status, timestamp: { ...WEBHOOK_SCHEMAS.Status.timestamp, required: true } },
+  };
+  const out = validate("Status", {
+    VehicleTracks: [
+      { Vehicle: { Callsign: "214" } },
+      { Vehicle: { Callsign: "215" }, Timestamp: "2026-01-05T09:59:00Z" },
+    ],
+  }, { schemas });
+  assert.deepEqual(reasons(out), ["missing-timestamp", "ok"]);
+  assert.equal(out[0].callsign, "214");
+});
+
+test("an unknown route is a programming error", () => {
+  assert.throws(() => validate("Nope", {}), /No schema/);
+});
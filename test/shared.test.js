@@ -0,0 +1,295 @@
+// Revision ordering, and the Redis backend against a small in-process RESP stub. Run with: npm test
+//
+// The stub speaks enough of the protocol for shared.js (hashes, SET NX PX,
+// pub/sub) and runs its EVAL scripts as the JavaScript equivalent of their Lua,
+// picked by what the script calls. A real server can be used instead with
+// TEST_REDIS_URL=redis://localhost:6379/15 (the test flushes nothing; it uses
+// its own key prefix).
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import net from "node:net";
+import { nextRevision, isNewerRevision, createRedisState } from "../shared.js";
+
+// ---------- nextRevision / isNewerRevision ----------
+const T1 = "2026-01-05T10:00:00.000Z";
+const T2 = "2026-01-05T10:00:00.001Z";
+
+test("a later updatedAt always orders after an earlier one", () => {
+  const a = nextRevision(T1, null, "b-instance");
+  const b = nextRevision(T2, null, "a-instance");
+  assert.ok(isNewerRevision(b, a));
+  assert.ok(!isNewerRevision(a, b));
+
+  // Zero padding keeps string order numeric across digit counts
+  const old = nextRevision("1999-01-01T00:00:00Z", null, "x");
+  assert.ok(isNewerRevision(a, old));
+  assert.match(a, /^\d{13}:\d{6}:b-instance$/);
+});
+
+test("repeat writes at the same updatedAt bump n so the newest still wins", () => {
+  const r0 = nextRevision(T1, null, "i1");
+  const r1 = nextRevision(T1, r0, "i1");
+  const r2 = nextRevision(T1, r1, "i1");
+  assert.equal(r1.split(":")[1], "000001");
+  assert.equal(r2.split(":")[1], "000002");
+  assert.ok(isNewerRevision(r2, r1) && isNewerRevision(r1, r0));
+
+  // n starts again at a new updatedAt, which still orders after any n before it
+  const later = nextRevision(T2, r2, "i1");
+  assert.equal(later.split(":")[1], "000000");
+  assert.ok(isNewerRevision(later, r2));
+
+  // Ten and more repeats still compare correctly
+  let r = r0;
+  for (let i = 0; i < 12; i++) r = nextRevision(T1, r, "i1");
+  assert.ok(isNewerRevision(r, r2));
+});
+
+test("the instance id breaks ties between instances writing the same moment", () => {
+  const a = nextRevision(T1, null, "alpha");
+  const b = nextRevision(T1, null, "beta");
+  assert.ok(isNewerRevision(b, a));
+  assert.ok(!isNewerRevision(a, b));
+  assert.ok(!isNewerRevision(a, a));
+});
+
+test("anything beats no revision; an unparseable updatedAt sorts first", () => {
+  assert.ok(isNewerRevision(nextRevision(T1, null, "i"), undefined));
+  assert.ok(!isNewerRevision(undefined, nextRevision(T1, null, "i")));
+  const bad = nextRevision("not a date", null, "i");
+  assert.match(bad, /^0{13}:/);
+  assert.ok(isNewerRevision(nextRevision(T1, null, "i"), bad));
+});
+
+// ---------- RESP stub ----------
+function encode(v) {
+  if (v === null || v === undefined || v === false) return "$-1\r\n";
+  if (v instanceof Error) return `-${v.message}\r\n`;
+  if (typeof v === "number") return `:${v}\r\n`;
+  if (Array.isArray(v)) return `*${v.length}\r\n` + v.map(encode).join("");
+  if (v && v.status) return `+${v.status}\r\n`;
+  const s = String(v);
+  return `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+}
+
+// Commands arrive as RESP arrays of bulk strings: -> [args, offset] or null
+function parseCommand(buf, offset) {
+  const end = buf.indexOf("\r\n", offset);
+  if (end < 0) return null;
+  const count = Number(buf.toString("utf8", offset + 1, end));
+  const args = [];
+  let pos = end + 2;
+  for (let i = 0; i < count; i++) {
+    const e = buf.indexOf("\r\n", pos);
+    if (e < 0) return null;
+    const len = Number(buf.toString("utf8", pos + 1, e));
+    if (buf.length < e + 2 + len + 2) return null;
+    args.push(buf.toString("utf8", e + 2, e + 2 + len));
+    pos = e + 2 + len + 2;
+  }
+  return [args, pos];
+}
+
+function createRespStub() {
+  const hashes = new Map();     // key -> Map(field -> value)
+  const strings = new Map();    // key -> { value, expiresAt }
+  const subscribers = new Map(); // channel -> Set(socket)
+
+  const getString = (key) => {
+    const s = strings.get(key);
+    if (s && s.expiresAt !== null && s.expiresAt <= Date.now()) strings.delete(key);
+    return strings.get(key)?.value ?? null;
+  };
+  const hash = (key) => hashes.get(key) || hashes.set(key, new Map()).get(key);
+
+  function publish(channel, message) {
+    const subs = subscribers.get(channel) || new Set();
+    for (const s of subs) s.write(encode(["message", channel, message]));
+    return subs.size;
+  }
+
+  function evalScript(script, keys, argv) {
+    if (script.includes("HSET")) {
+      // COMMIT_SCRIPT
+      const cur = hash(keys[0]).get(argv[0]);
+      if (cur !== undefined) {
+        let stored = null;
+        try { stored = JSON.parse(cur); } catch {}
+        if (stored && typeof stored.rev === "string" && stored.rev > argv[1]) return cur;
+      }
+      hash(keys[0]).set(argv[0], argv[2]);
+      publish(keys[1], argv[3]);
+      return false;
+    }
+    if (script.includes("PEXPIRE")) {
+      // RENEW_SCRIPT
+      if (getString(keys[0]) !== argv[0]) return 0;
+      strings.get(keys[0]).expiresAt = Date.now() + Number(argv[1]);
+      return 1;
+    }
+    if (script.includes("DEL")) {
+      // RELEASE_SCRIPT
+      if (getString(keys[0]) !== argv[0]) return 0;
+      strings.delete(keys[0]);
+      return 1;
+    }
+    return new Error("ERR unknown script");
+  }
+
+  function run(socket, [name, ...args]) {
+    switch (name.toUpperCase()) {
+      case "AUTH": case "SELECT": return { status: "OK" };
+      case "SUBSCRIBE":
+        (subscribers.get(args[0]) || subscribers.set(args[0], new Set()).get(args[0])).add(socket);
+        return ["subscribe", args[0], 1];
+      case "PUBLISH": return publish(args[0], args[1]);
+      case "HGETALL": return Array.from(hash(args[0])).flat();
+      case "HDEL": return hash(args[0]).delete(args[1]) ? 1 : 0;
+      case "GET": return getString(args[0]);
+      case "SET": {
+        const [key, value, ...opts] = args;
+        const upper = opts.map(o => o.toUpperCase());
+        if (upper.includes("NX") && getString(key) !== null) return null;
+        const px = upper.indexOf("PX");
+        strings.set(key, { value, expiresAt: px >= 0 ? Date.now() + Number(opts[px + 1]) : null });
+        return { status: "OK" };
+      }
+      case "EVAL": {
+        const [script, numKeys, ...rest] = args;
+        return evalScript(script, rest.slice(0, Number(numKeys)), rest.slice(Number(numKeys)));
+      }
+      default: return new Error(`ERR unknown command '${name}'`);
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    let buf = Buffer.alloc(0);
+    socket.on("data", (chunk) => {
+      buf = Buffer.concat([buf, chunk]);
+      let offset = 0;
+      for (let parsed; (parsed = parseCommand(buf, offset)); ) {
+        offset = parsed[1];
+        socket.write(encode(run(socket, parsed[0])));
+      }
+      buf = buf.subarray(offset);
+    });
+    socket.on("close", () => { for (const subs of subscribers.values()) subs.delete(socket); });
+    socket.on("error", () => {});
+  });
+
+  return {
+    server,
+    // A crashed leader: its lease simply runs out
+    expire: (key) => strings.delete(key),
+    hget: (key, field) => hashes.get(key)?.get(field),
+  };
+}
+
+// ---------- Redis backend ----------
+const stub = createRespStub();
+let url = process.env.TEST_REDIS_URL;
+let prefix;
+const states = [];
+
+before(async () => {
+  if (!url) {
+    await new Promise(resolve => stub.server.listen(0, "127.0.0.1", resolve));
+    url = `redis://127.0.0.1:${stub.server.address().port}`;
+  }
+});
+
+after(async () => {
+  for (const s of states) await s.close();
+  await new Promise(resolve => stub.server.close(() => resolve()));
+});
+
+// Each test gets its own keys
+let testNo = 0;
+async function instance(id, opts = {}) {
+  const s = createRedisState({ url, instanceId: id, prefix, leaderTtlMs: 3000, connectTimeoutMs: 2000, ...opts });
+  states.push(s);
+  await s.connect();
+  return s;
+}
+const freshPrefix = () => { prefix = `test-${process.pid}-${++testNo}:`; };
+const until = async (cond, ms = 4000) => {
+  const end = Date.now() + ms;
+  while (!cond()) {
+    if (Date.now() > end) throw new Error("timed out waiting");
+    await new Promise(r => setTimeout(r, 25));
+  }
+};
+const rec = (updatedAt, instanceId, extra = {}) => ({ updatedAt, rev: nextRevision(updatedAt, null, instanceId), ...extra });
+
+test("commits land only when their revision is not older than the stored one", async () => {
+  freshPrefix();
+  const a = await instance("a");
+  const b = await instance("b");
+
+  const newer = rec(T2, "a", { driverStatus: "Busy" });
+  const older = rec(T1, "b", { driverStatus: "Clear" });
+
+  assert.deepEqual(await a.commit("214", newer), { applied: true, current: newer });
+
+  // b lost the race: it is told which record won
+  const lost = await b.commit("214", older);
+  assert.equal(lost.applied, false);
+  assert.deepEqual(lost.current, newer);
+
+  // The same revision again (a retry) is applied, and a newer one replaces it
+  assert.equal((await a.commit("214", newer)).applied, true);
+  const newest = { ...newer, rev: nextRevision(T2, newer.rev, "b"), driverStatus: "Clear" };
+  assert.equal((await b.commit("214", newest)).applied, true);
+
+  const all = await a.loadAll();
+  assert.deepEqual(all.get("214"), newest);
+});
+
+test("other instances hear about a commit; the committer does not hear its own", async () => {
+  freshPrefix();
+  const a = await instance("a");
+  const b = await instance("b");
+  const heardA = [], heardB = [];
+  a.onMessage(m => heardA.push(m));
+  b.onMessage(m => heardB.push(m));
+
+  const r = rec(T1, "a");
+  await a.commit("214", r);
+  await a.remove("215");
+  await until(() => heardB.length === 2);
+  assert.deepEqual(heardB.map(m => [m.type, m.callsign]), [["record", "214"], ["remove", "215"]]);
+  assert.deepEqual(heardB[0].rec, r);
+  assert.deepEqual(heardA, []);
+
+  // A losing commit publishes nothing
+  await b.commit("214", rec("2025-01-01T00:00:00Z", "b"));
+  await new Promise(res => setTimeout(res, 100));
+  assert.equal(heardA.length, 0);
+});
+
+test("one leader at a time; the lease passes on when the leader leaves", async () => {
+  freshPrefix();
+  const a = await instance("a");
+  const b = await instance("b");
+  assert.equal(a.isLeader(), true);
+  assert.equal(b.isLeader(), false);
+
+  // A clean shutdown releases the lease; b takes it at its next election
+  await a.close();
+  await until(() => b.isLeader());
+  assert.equal(b.isLeader(), true);
+});
+
+test("a leader whose lease ran out steps down when another instance holds it", { skip: !!process.env.TEST_REDIS_URL && "needs the stub to expire the lease" }, async () => {
+  freshPrefix();
+  const a = await instance("a");
+  const b = await instance("b");
+  assert.equal(a.isLeader(), true);
+
+  // a stalls long enough for its lease to expire, and b takes over
+  stub.expire(`${prefix}leader`);
+  await until(() => b.isLeader());
+  // a's next renewal finds b's lease and gives up the role
+  await until(() => !a.isLeader());
+  assert.equal(b.isLeader(), true);
+});
@@ -0,0 +1,63 @@
+// The simulator is deterministic: same seed and options, same output. Run with: npm test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSimulation, createFleet } from "../simulator.js";
+import { validateWebhook } from "../schemas.js";
+
+const START = Date.parse("2026-01-05T06:00:00Z");
+const STEPS = 2000;
+
+function run(opts, steps = STEPS) {
+  const sim = createSimulation({ startMs: START, ...opts });
+  const events = [];
+  for (let i = 0; i < steps; i++) events.push(sim.next());
+  return {
+    fleet: sim.fleet,
+    events,
+    vehicles: sim.vehiclesResponse(),
+    tracks: sim.tracksResponse(),
+    shifts: sim.shiftsResponse(),
+  };
+}
+
+test("the same seed and options produce the same fleet, schedule and API state", () => {
+  const a = run({ seed: 42, size: 25, tickMs: 1000 });
+  const b = run({ seed: 42, size: 25, tickMs: 1000 });
+  assert.deepEqual(a, b);
+  // Byte for byte, as the header promises for --dump
+  assert.equal(a.events.map(e => JSON.stringify(e)).join("\n"), b.events.map(e => JSON.stringify(e)).join("\n"));
+});
+
+test("a different seed or start gives a different schedule", () => {
+  const base = run({ seed: 42 }, 200);
+  assert.notDeepEqual(run({ seed: 43 }, 200).events, base.events);
+
+  const later = createSimulation({ seed: 42, startMs: START + 60000 });
+  const shifted = Array.from({ length: 200 }, () => later.next());
+  assert.notDeepEqual(shifted.map(e => e.at), base.events.map(e => e.at));
+  // ...but only the clock moves: the same vehicles do the same things
+  assert.deepEqual(shifted.map(e => e.note), base.events.map(e => e.note));
+});
+
+test("the fleet depends only on seed and size", () => {
+  assert.deepEqual(createFleet({ seed: 7, size: 10 }), createFleet({ seed: 7, size: 10 }));
+  assert.notDeepEqual(createFleet({ seed: 7, size: 10 }), createFleet({ seed: 8, size: 10 }));
+});
+
+test("the schedule mixes in out-of-order re-sends and malformed bodies at the stated rates", () => {
+  const { events } = run({ seed: 1 });
+  const outOfOrder = events.filter(e => e.note.startsWith("out-of-order:")).length / events.length;
+  const seqs = events.map(e => e.seq);
+  assert.deepEqual(seqs, Array.from({ length: STEPS }, (_, i) => i + 1));
+  assert.ok(outOfOrder > 0.02 && outOfOrder < 0.08, `out-of-order rate ${outOfOrder}`);
+
+  // Malformed calls are the ones that do not parse or do not validate cleanly
+  const malformed = events.filter(e => {
+    try {
+      return validateWebhook(e.route, JSON.parse(e.body)).some(v => !v.ok);
+    } catch {
+      return true;
+    }
+  }).length / events.length;
+  assert.ok(malformed > 0.01 && malformed < 0.06, `malformed rate ${malformed}`);
+});
@@ -0,0 +1,83 @@
+// SSE event ids, Last-Event-ID resume and ring-buffer overflow. Run with: npm test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createEventLog } from "../sse.js";
+
+const seqs = (events) => events.map(e => e.seq);
+
+function logWith(n, size = 5) {
+  const log = createEventLog({ size, epoch: "abc" });
+  for (let i = 1; i <= n; i++) log.append("status", { callsign: String(i) });
+  return log;
+}
+
+test("ids are <epoch>-<seq> and frames carry them", () => {
+  const log = logWith(0);
+  const { seq } = log.append("status", { callsign: "214" });
+  assert.equal(seq, 1);
+  assert.equal(log.id(seq), "abc-1");
+  assert.equal(log.frame("status", { callsign: "214" }, seq), 'id: abc-1\nevent: status\ndata:{"callsign":"214"}\n\n');
+  // Not replayable: no id line
+  assert.equal(log.frame("rank", { id: "r1" }), 'event: rank\ndata:{"id":"r1"}\n\n');
+});
+
+test("resume returns exactly the events after Last-Event-ID", () => {
+  const log = logWith(4);
+  assert.deepEqual(seqs(log.since("abc-2")), [3, 4]);
+  assert.deepEqual(log.since("abc-2").map(e => e.data.callsign), ["3", "4"]);
+  // Fully caught up: nothing to send, but no snapshot either
+  assert.deepEqual(log.since("abc-4"), []);
+  // Whitespace from a hand-written header is tolerated
+  assert.deepEqual(seqs(log.since(" abc-3 ")), [4]);
+});
+
+test("a client that last saw the id from an initial snapshot resumes from there", () => {
+  const log = logWith(0);
+  const snapshotId = log.id(log.seq); // "abc-0"
+  log.append("status", { callsign: "214" });
+  assert.deepEqual(seqs(log.since(snapshotId)), [1]);
+});
+
+test("once the ring buffer has overflowed past the client, it needs a snapshot", () => {
+  const log = logWith(8, 5); // holds 4..8
+  assert.deepEqual(seqs(log.since("abc-3")), [4, 5, 6, 7, 8]);  // oldest - 1 is still complete
+  assert.equal(log.since("abc-2"), null);                         // event 3 was dropped
+  assert.equal(log.since("abc-0"), null);
+});
+
+test("ids from another epoch, from the future or malformed need a snapshot", () => {
+  const log = logWith(3);
+  assert.equal(log.since("xyz-2"), null);   // server restarted
+  assert.equal(log.since("abc-9"), null);
+  assert.equal(log.since("abc"), null);
+  assert.equal(log.since("abc-1-2"), null);
+  assert.equal(log.since(""), null);
+  assert.equal(log.since(undefined), null);
+});
+
+test("the buffer never holds more than size events", () => {
+  const log = logWith(1000, 10);
+  assert.equal(log.seq, 1000);
+  assert.deepEqual(seqs(log.since("abc-990")), [991, 992, 993, 994, 995, 996, 997, 998, 999, 1000]);
+  assert.equal(log.since("abc-989"), null);
+});
+
+test("rewrite edits or drops buffered events, and resume skips the dropped ones", () => {
+  const log = createEventLog({ size: 10, epoch: "abc" });
+  log.append("status", { callsign: "214" });
+  log.append("rank", { id: "r1", queue: [{ callsign: "214", position: 1 }, { callsign: "215", position: 2 }] });
+  log.append("status", { callsign: "215" });
+  log.append("status", { callsign: "214" });
+
+  const changed = log.rewrite((event, data) => {
+    if (event === "rank") return { ...data, queue: data.queue.filter(q => q.callsign !== "214") };
+    return data.callsign === "214" ? null : data;
+  });
+  assert.equal(changed, 3);
+  assert.deepEqual(seqs(log.since("abc-0")), [2, 3]);
+  assert.deepEqual(log.since("abc-0")[0].data.queue.map(q => q.callsign), ["215"]);
+
+  // Dropping the oldest events does not make a client that saw them need a snapshot
+  assert.deepEqual(seqs(log.since("abc-1")), [2, 3]);
+  assert.deepEqual(log.since("abc-4"), []);
+});
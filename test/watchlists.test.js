@@ -0,0 +1,43 @@
+// Watchlist push subscriptions only go to browser push services. Run with: npm test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createWatchlists, isPushServiceEndpoint } from "../watchlists.js";
+
+test("endpoints must be on a known push service host", () => {
+  for (const ok of [
+    "https://fcm.googleapis.com/fcm/send/abc",
+    "https://updates.push.services.mozilla.com/wpush/v2/abc",
+    "https://web.push.apple.com/QGx",
+    "https://wns2-par02p.notify.windows.com/w/?token=abc",
+  ]) assert.equal(isPushServiceEndpoint(ok), true, ok);
+
+  for (const bad of [
+    "http://fcm.googleapis.com/fcm/send/abc",        // not https
+    "https://fcm.googleapis.com:8443/fcm/send/abc",  // another port
+    "https://evilfcm.googleapis.com.example/x",
+    "https://fcm.googleapis.com.evil.example/x",
+    "https://user@fcm.googleapis.com/x",
+    "https://169.254.169.254/latest/meta-data",
+    "https://localhost/admin",
+    "not a url",
+    undefined,
+  ]) assert.equal(isPushServiceEndpoint(bad), false, String(bad));
+});
+
+test("subscribe refuses other endpoints and saves nothing", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "watchlists-test-"));
+  try {
+    const w = createWatchlists({ file: path.join(dir, "watchlists.json") });
+    const keys = { p256dh: "p", auth: "a" };
+    assert.throws(() => w.subscribe("device:x", { endpoint: "https://internal.example/hook", keys }), /push service/);
+    assert.equal(w.get("device:x").subscriptions, 0);
+
+    w.subscribe("device:x", { endpoint: "https://fcm.googleapis.com/fcm/send/abc", keys });
+    assert.equal(w.get("device:x").subscriptions, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,144 @@
+// Webhook HMAC verification, secret rotation, replay window, token auth and unparseable bodies. Run with: npm test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { createWebhookVerifier, parseWebhookTimestamp, signWebhook, webhookParseErrors } from "../webhookauth.js";
+
+const NOW = Date.parse("2026-01-05T10:00:00Z");
+const SKEW_MS = 300 * 1000;
+const body = Buffer.from('{"VehicleTracks":[]}');
+
+function verifier({ secrets = ["current"], token = "" } = {}) {
+  let now = NOW;
+  const v = createWebhookVerifier({ secretsFor: () => secrets, token, maxSkewMs: SKEW_MS, now: () => now });
+  v.setNow = (t) => { now = t; };
+  return v;
+}
+
+function signed(secret, tsMs = NOW, raw = body) {
+  const ts = String(Math.floor(tsMs / 1000));
+  return { "x-webhook-timestamp": ts, "x-webhook-signature": "sha256=" + signWebhook(secret, ts, raw) };
+}
+
+test("a correctly signed body is accepted", () => {
+  assert.equal(verifier().verify("Status", signed("current"), body), null);
+});
+
+test("signature, timestamp and body must all match", () => {
+  const v = verifier();
+  assert.equal(v.verify("Status", {}, body), "missing-signature");
+  assert.equal(v.verify("Status", { "x-webhook-signature": "sha256=00" }, body), "missing-timestamp");
+  assert.equal(v.verify("Status", { ...signed("current"), "x-webhook-timestamp": "soon" }, body), "bad-timestamp");
+  assert.equal(v.verify("Status", signed("wrong"), body), "bad-signature");
+  assert.equal(v.verify("Status", signed("current"), Buffer.from('{"VehicleTracks":[{}]}')), "bad-signature");
+
+  // Timestamp re-stamped without re-signing
+  const h = signed("current");
+  assert.equal(v.verify("Status", { ...h, "x-webhook-timestamp": String(Number(h["x-webhook-timestamp"]) + 1) }, body), "bad-signature");
+});
+
+test("the previous secret is accepted while a secret is rotated", () => {
+  const v = verifier({ secrets: ["new", "old"] });
+  assert.equal(v.verify("Status", signed("old"), body), null);
+  assert.equal(v.verify("Status", signed("new", NOW + 1000), body), null);
+  assert.equal(v.verify("Status", signed("older", NOW + 2000), body), "bad-signature");
+});
+
+test("timestamps outside the skew window are refused either way", () => {
+  const v = verifier();
+  assert.equal(v.verify("Status", signed("current", NOW - SKEW_MS - 1000), body), "stale-timestamp");
+  assert.equal(v.verify("Status", signed("current", NOW + SKEW_MS + 1000), body), "stale-timestamp");
+  assert.equal(v.verify("Status", signed("current", NOW - SKEW_MS + 1000), body), null);
+});
+
+test("a signature is accepted once; a repeat inside the window is a replay", () => {
+  const v = verifier();
+  const h = signed("current");
+  assert.equal(v.verify("Status", h, body), null);
+  assert.equal(v.verify("Status", h, body), "replayed");
+
+  // Still remembered at the edge of the window, when the timestamp is still fresh
+  v.setNow(NOW + SKEW_MS);
+  assert.equal(v.verify("Status", h, body), "replayed");
+
+  // Once the window has passed, the timestamp itself is stale
+  v.setNow(NOW + 2 * SKEW_MS + 1000);
+  assert.equal(v.verify("Status", h, body), "stale-timestamp");
+});
+
+test("token auth applies only when no secret is configured", () => {
+  const v = verifier({ secrets: [], token: "tok" });
+  assert.equal(v.verify("Status", { "x-webhook-token": "tok" }, body), null);
+  assert.equal(v.verify("Status", {}, body), "missing-token");
+  assert.equal(v.verify("Status", { "x-webhook-token": "tak" }, body), "bad-token");
+
+  const both = verifier({ secrets: ["current"], token: "tok" });
+  assert.equal(both.verify("Status", { "x-webhook-token": "tok" }, body), "missing-signature");
+});
+
+test("nothing configured is open and reported as unprotected", () => {
+  const v = verifier({ secrets: [] });
+  assert.equal(v.verify("Status", {}, body), null);
+  assert.equal(v.isProtected("Status"), false);
+  assert.equal(verifier().isProtected("Status"), true);
+});
+
+test("webhook timestamps may be seconds, milliseconds or ISO", () => {
+  assert.equal(parseWebhookTimestamp(String(NOW / 1000)), NOW);
+  assert.equal(parseWebhookTimestamp(String(NOW)), NOW);
+  assert.equal(parseWebhookTimestamp("2026-01-05T10:00:00Z"), NOW);
+  assert.ok(Number.isNaN(parseWebhookTimestamp("")));
+});
+
+// An app wired like server.js: express.json keeps the raw bytes, and parse failures go to webhookParseErrors
+async function withParseErrorApp(fn) {
+  const v = createWebhookVerifier({ secretsFor: () => ["current"], maxSkewMs: SKEW_MS });
+  const invalid = [];
+  const observed = [];
+  const app = express();
+  app.use(express.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }));
+  app.post("/webhook/Status", (_req, res) => res.json({ ok: true }));
+  app.use(webhookParseErrors({
+    routes: ["Status"],
+    checkAuth: (req, res, route) => {
+      const reason = v.verify(route, req.headers, req.rawBody);
+      if (reason) res.status(401).json({ ok: false, error: "Unauthorized" });
+      return !reason;
+    },
+    observe: (req) => observed.push(req.path),
+    onInvalid: (_req, res, route) => {
+      invalid.push(route);
+      res.status(400).json({ ok: false, error: "Invalid JSON" });
+    },
+  }));
+  const server = await new Promise(resolve => { const s = app.listen(0, "127.0.0.1", () => resolve(s)); });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await fn({ base, invalid, observed });
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test("an unsigned body that is not JSON is refused without being quarantined", async () => {
+  await withParseErrorApp(async ({ base, invalid, observed }) => {
+    const junk = "{not json";
+    const unsigned = await fetch(`${base}/webhook/Status`, { method: "POST", headers: { "Content-Type": "application/json" }, body: junk });
+    assert.equal(unsigned.status, 401);
+    assert.deepEqual(invalid, []);
+
+    const unknown = await fetch(`${base}/webhook/Nope`, { method: "POST", headers: { "Content-Type": "application/json" }, body: junk });
+    assert.equal(unknown.status, 404);
+    assert.deepEqual(invalid, []);
+
+    // The sender holding the secret does get the invalid-json treatment
+    const ok = await fetch(`${base}/webhook/Status`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...signed("current", Date.now(), Buffer.from(junk)) },
+      body: junk,
+    });
+    assert.equal(ok.status, 400);
+    assert.deepEqual(invalid, ["Status"]);
+    assert.deepEqual(observed, ["/webhook/Status", "/webhook/Nope", "/webhook/Status"]);
+  });
+});
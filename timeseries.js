@@ -0,0 +1,168 @@
+// timeseries.js — fleet utilisation samples in a small SQLite file
+//
+// Every sample is added to each tier at once, so downsampling needs no
+// separate rollup job: a tier row holds the sum and max of every metric over
+// its step, plus how many samples went in. Retention is per tier.
+//
+//   tier   step              kept (defaults)
+//   raw    STATS_SAMPLE_SECONDS   7 days
+//   15m    900 s             90 days
+//   1h     3600 s            2 years
+//
+// Metrics in a sample: tracked, online, suspended, fleet and one
+// "code:<driverStatusCode>" per status (online vehicles only). A query
+// returns per-bucket averages (sum / samples) and maxima, read from the
+// finest tier that still covers the requested range.
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+
+const DAY_S = 24 * 60 * 60;
+
+export function defaultTiers(sampleSeconds, { rawDays = 7, quarterHourDays = 90, hourDays = 730 } = {}) {
+  const tiers = [{ name: "raw", step: sampleSeconds, keep: rawDays * DAY_S }];
+  if (sampleSeconds < 900) tiers.push({ name: "15m", step: 900, keep: quarterHourDays * DAY_S });
+  if (sampleSeconds < 3600) tiers.push({ name: "1h", step: 3600, keep: hourDays * DAY_S });
+  return tiers;
+}
+
+// "90", "90s", "5m", "1h", "1d" -> seconds; null when unparseable
+export function parseBucket(v) {
+  const m = /^(\d+)\s*([smhd]?)$/i.exec(String(v ?? "").trim());
+  if (!m) return null;
+  const n = Number(m[1]) * { "": 1, s: 1, m: 60, h: 3600, d: DAY_S }[m[2].toLowerCase()];
+  return n > 0 ? n : null;
+}
+
+export function createTimeseries({ file, tiers }) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = NORMAL");
+  db.exec(`CREATE TABLE IF NOT EXISTS series (
+    step   INTEGER NOT NULL,
+    t      INTEGER NOT NULL,
+    metric TEXT NOT NULL,
+    sum    REAL NOT NULL,
+    max    REAL NOT NULL,
+    PRIMARY KEY (step, t, metric)
+  ) WITHOUT ROWID`);
+
+  const addStmt = db.prepare(`
+    INSERT INTO series (step, t, metric, sum, max) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(step, t, metric) DO UPDATE SET sum = sum + excluded.sum, max = MAX(max, excluded.max)
+  `);
+  const rangeStmt = db.prepare("SELECT t, metric, sum, max FROM series WHERE step = ? AND t >= ? AND t < ? ORDER BY t");
+  const pruneStmt = db.prepare("DELETE FROM series WHERE step = ? AND t < ?");
+
+  // sample: { tracked, online, suspended, fleet, codes: { code: n } }
+  const record = db.transaction((sample, atMs = Date.now()) => {
+    const metrics = [["samples", 1]];
+    for (const k of ["tracked", "online", "suspended", "fleet"]) metrics.push([k, Number(sample[k]) || 0]);
+    for (const [code, n] of Object.entries(sample.codes || {})) metrics.push([`code:${code}`, n]);
+
+    const sec = Math.floor(atMs / 1000);
+    for (const tier of tiers) {
+      const t = sec - (sec % tier.step);
+      for (const [metric, v] of metrics) addStmt.run(tier.step, t, metric, v, v);
+    }
+  });
+
+  function prune(nowMs = Date.now()) {
+    const removed = {};
+    db.transaction(() => {
+      for (const tier of tiers) {
+        removed[tier.name] = pruneStmt.run(tier.step, Math.floor(nowMs / 1000) - tier.keep).changes;
+      }
+    })();
+    return removed;
+  }
+
+  // Every tier gets every sample, so the finest tier that divides the bucket
+  // and still keeps data back to fromS is exact; otherwise the coarsest one
+  function pickTier(fromS, bucketS, nowS) {
+    const fitting = tiers.filter(t => t.step <= bucketS && bucketS % t.step === 0);
+    if (!fitting.length) return null;
+    return fitting.find(t => fromS >= nowS - t.keep) || fitting[fitting.length - 1];
+  }
+
+  /**
+   * -> { tier, bucket, points: [{ t, samples, tracked, online, onlineMax, suspended, fleet, codes }],
+   *      totals: { samples, online, codes: { code: { avg, share } } } }
+   * Buckets with no samples are left out. share is the code's part of online
+   * vehicle-time over the whole range.
+   */
+  function query({ fromMs, toMs, bucketSeconds, nowMs = Date.now() }) {
+    const fromS = Math.floor(fromMs / 1000);
+    const toS = Math.ceil(toMs / 1000);
+    const tier = pickTier(fromS, bucketSeconds, Math.floor(nowMs / 1000));
+    if (!tier) return null;
+
+    const buckets = new Map(); // t -> { metric -> { sum, max } }
+    for (const row of rangeStmt.iterate(tier.step, fromS - (fromS % bucketSeconds), toS)) {
+      const bt = row.t - (row.t % bucketSeconds);
+      let b = buckets.get(bt);
+      if (!b) buckets.set(bt, (b = new Map()));
+      const m = b.get(row.metric) || { sum: 0, max: -Infinity };
+      m.sum += row.sum;
+      m.max = Math.max(m.max, row.max);
+      b.set(row.metric, m);
+    }
+
+    const round = (n) => Math.round(n * 100) / 100;
+    const totals = { samples: 0, onlineSum: 0, codeSums: {} };
+    const points = [];
+    for (const [bt, b] of Array.from(buckets).sort((a, c) => a[0] - c[0])) {
+      const samples = b.get("samples")?.sum || 0;
+      if (!samples) continue;
+      const avg = (k) => round((b.get(k)?.sum || 0) / samples);
+      const codes = {};
+      for (const [metric, m] of b) {
+        if (!metric.startsWith("code:")) continue;
+        const code = metric.slice(5);
+        codes[code] = round(m.sum / samples);
+        totals.codeSums[code] = (totals.codeSums[code] || 0) + m.sum;
+      }
+      totals.samples += samples;
+      totals.onlineSum += b.get("online")?.sum || 0;
+      points.push({
+        t: new Date(bt * 1000).toISOString(),
+        samples,
+        tracked: avg("tracked"),
+        online: avg("online"),
+        onlineMax: b.get("online")?.max ?? 0,
+        suspended: avg("suspended"),
+        fleet: avg("fleet"),
+        codes,
+      });
+    }
+
+    const codeTotals = {};
+    for (const [code, sum] of Object.entries(totals.codeSums)) {
+      codeTotals[code] = {
+        avg: totals.samples ? round(sum / totals.samples) : 0,
+        share: totals.onlineSum ? round(sum / totals.onlineSum) : 0,
+      };
+    }
+    return {
+      tier: tier.name,
+      bucket: bucketSeconds,
+      points,
+      totals: {
+        samples: totals.samples,
+        online: totals.samples ? round(totals.onlineSum / totals.samples) : 0,
+        codes: codeTotals,
+      },
+    };
+  }
+
+  return {
+    tiers,
+    record,
+    prune,
+    query,
+    close() {
+      db.close();
+    },
+  };
+}
@@ -0,0 +1,96 @@
+// users.js — manage dashboard users and API keys in USERS_FILE
+//
+//   node users.js list
+//   node users.js add-user <username> <viewer|admin> <password>
+//   node users.js remove-user <username>
+//   node users.js add-key <name> <viewer|admin>      (prints the key once)
+//   node users.js add-kiosk <name>                   (read-only wall-screen key, printed once)
+//   node users.js remove-key <name>
+import dotenv from "dotenv";
+import {
+  ROLES,
+  loadUsersFile,
+  saveUsersFile,
+  hashPassword,
+  hashApiKey,
+  generateApiKey,
+} from "./auth.js";
+
+dotenv.config();
+
+const USERS_FILE = process.env.USERS_FILE || "./users.json";
+
+function fail(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) fail(`Role must be one of: ${ROLES.join(", ")}`);
+}
+
+const [cmd, ...args] = process.argv.slice(2);
+const data = loadUsersFile(USERS_FILE) || { users: [], apiKeys: [] };
+
+switch (cmd) {
+  case "list": {
+    for (const u of data.users) console.log(`user  ${u.username}  ${u.role}`);
+    for (const k of data.apiKeys) console.log(`${k.kiosk ? "kiosk" : "key  "} ${k.name}  ${k.role}`);
+    break;
+  }
+
+  case "add-user": {
+    const [username, role, password] = args;
+    if (!username || !role || !password) fail("Usage: node users.js add-user <username> <role> <password>");
+    checkRole(role);
+    data.users = data.users.filter(u => u.username !== username);
+    data.users.push({ username, role, passwordHash: hashPassword(password) });
+    saveUsersFile(USERS_FILE, data);
+    console.log(`Saved user ${username} (${role}) to ${USERS_FILE}`);
+    break;
+  }
+
+  case "remove-user": {
+    const [username] = args;
+    data.users = data.users.filter(u => u.username !== username);
+    saveUsersFile(USERS_FILE, data);
+    console.log(`Removed user ${username}`);
+    break;
+  }
+
+  case "add-key": {
+    const [name, role] = args;
+    if (!name || !role) fail("Usage: node users.js add-key <name> <role>");
+    checkRole(role);
+    const key = generateApiKey();
+    data.apiKeys = data.apiKeys.filter(k => k.name !== name);
+    data.apiKeys.push({ name, role, keyHash: hashApiKey(key) });
+    saveUsersFile(USERS_FILE, data);
+    console.log(`API key for ${name} (${role}) — store it now, it is not shown again:\n${key}`);
+    break;
+  }
+
+  case "add-kiosk": {
+    // Opened once as index.html?kiosk=1&kiosk_token=<key>; the board then keeps it in a cookie
+    const [name] = args;
+    if (!name) fail("Usage: node users.js add-kiosk <name>");
+    const key = generateApiKey();
+    data.apiKeys = data.apiKeys.filter(k => k.name !== name);
+    data.apiKeys.push({ name, role: "viewer", kiosk: true, keyHash: hashApiKey(key) });
+    saveUsersFile(USERS_FILE, data);
+    console.log(`Kiosk key for ${name} — store it now, it is not shown again:\n${key}`);
+    console.log(`Open the board once at: index.html?kiosk=1&kiosk_token=${key} (add &profile=<name> as needed)`);
+    break;
+  }
+
+  case "remove-key": {
+    const [name] = args;
+    data.apiKeys = data.apiKeys.filter(k => k.name !== name);
+    saveUsersFile(USERS_FILE, data);
+    console.log(`Removed API key ${name}`);
+    break;
+  }
+
+  default:
+    fail("Commands: list | add-user | remove-user | add-key | add-kiosk | remove-key");
+}
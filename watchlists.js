@@ -0,0 +1,175 @@
+// watchlists.js — starred callsigns per user or device, and Web Push to them
+//
+// WATCHLISTS_FILE:
+// {
+//   "<owner>": {
+//     "callsigns": ["101", "205"],
+//     "subscriptions": [{ "endpoint", "keys": { "p256dh", "auth" }, "createdAt" }],
+//     "updatedAt": ISO
+//   }
+// }
+// owner is "user:<username>" for a signed-in user, otherwise "device:<id>"
+// with a random id the server issued to the browser in an HttpOnly cookie.
+//
+// The server POSTs to every subscription endpoint, so only the browsers'
+// push services are accepted (PUSH_SERVICE_HOSTS); anything else would let a
+// client have the server send requests wherever it likes.
+//
+// notify() pushes a status change to every subscription whose owner watches
+// the callsign. Push services answer 404/410 for subscriptions that are gone;
+// those are dropped. With several server instances only the one for which
+// canNotify() is true sends, so a change is pushed once.
+import fs from "fs";
+import path from "path";
+import webpush from "web-push";
+
+const MAX_CALLSIGNS = 200;
+const MAX_SUBSCRIPTIONS = 10;  // per owner: a few browsers / devices
+const PUSH_TTL_SECONDS = 300;  // a status this old is not worth delivering
+// Chrome/Android (FCM), Firefox (autopush), Safari (Apple) and Edge (WNS), with their subdomains
+const PUSH_SERVICE_HOSTS = ["fcm.googleapis.com", "android.googleapis.com", "push.services.mozilla.com", "push.apple.com", "notify.windows.com"];
+
+const normKey = (s) => String(s || "").trim().toUpperCase();
+
+export function isPushServiceEndpoint(endpoint) {
+  let url;
+  try { url = new URL(String(endpoint)); } catch { return false; }
+  if (url.protocol !== "https:" || url.port || url.username || url.password) return false;
+  return PUSH_SERVICE_HOSTS.some(h => url.hostname === h || url.hostname.endsWith("." + h));
+}
+
+export function createWatchlists({ file, vapid = {}, canNotify = () => true, onPush = () => {} }) {
+  let data = {};
+  try {
+    if (fs.existsSync(file)) data = JSON.parse(fs.readFileSync(file, "utf8")) || {};
+  } catch (e) {
+    console.error(`Watchlists: cannot read ${file}, starting empty:`, e.message);
+  }
+
+  const pushEnabled = !!(vapid.publicKey && vapid.privateKey);
+  if (pushEnabled) webpush.setVapidDetails(vapid.subject || "mailto:ops@example.com", vapid.publicKey, vapid.privateKey);
+
+  function save() {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const tmp = file + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), "utf8");
+    fs.renameSync(tmp, file);
+  }
+
+  function entry(owner) {
+    return data[owner] || { callsigns: [], subscriptions: [], updatedAt: null };
+  }
+
+  function update(owner, fn) {
+    const e = entry(owner);
+    fn(e);
+    e.updatedAt = new Date().toISOString();
+    if (!e.callsigns.length && !e.subscriptions.length) delete data[owner];
+    else data[owner] = e;
+    save();
+    return view(owner);
+  }
+
+  function view(owner) {
+    const e = entry(owner);
+    return { callsigns: e.callsigns, subscriptions: e.subscriptions.length, updatedAt: e.updatedAt };
+  }
+
+  function setCallsigns(owner, list) {
+    const callsigns = Array.from(new Set((list || []).map(normKey).filter(Boolean))).slice(0, MAX_CALLSIGNS);
+    return update(owner, (e) => { e.callsigns = callsigns; });
+  }
+
+  function add(owner, callsign) {
+    const cs = normKey(callsign);
+    return update(owner, (e) => {
+      if (!e.callsigns.includes(cs) && e.callsigns.length < MAX_CALLSIGNS) e.callsigns.push(cs);
+    });
+  }
+
+  function remove(owner, callsign) {
+    const cs = normKey(callsign);
+    return update(owner, (e) => { e.callsigns = e.callsigns.filter(c => c !== cs); });
+  }
+
+  // subscription: PushSubscription.toJSON() from the browser
+  function subscribe(owner, subscription) {
+    const { endpoint, keys } = subscription || {};
+    if (!isPushServiceEndpoint(endpoint) || !keys?.p256dh || !keys?.auth) {
+      throw new Error("subscription must have a browser push service endpoint and p256dh/auth keys");
+    }
+    return update(owner, (e) => {
+      e.subscriptions = e.subscriptions.filter(s => s.endpoint !== endpoint);
+      e.subscriptions.push({ endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth }, createdAt: new Date().toISOString() });
+      e.subscriptions = e.subscriptions.slice(-MAX_SUBSCRIPTIONS);
+    });
+  }
+
+  function unsubscribe(owner, endpoint) {
+    return update(owner, (e) => { e.subscriptions = e.subscriptions.filter(s => s.endpoint !== endpoint); });
+  }
+
+  // Right to erasure for a callsign: take it off every watchlist
+  function eraseCallsign(callsign) {
+    const cs = normKey(callsign);
+    let removed = 0;
+    for (const [owner, e] of Object.entries(data)) {
+      const before = e.callsigns.length;
+      e.callsigns = e.callsigns.filter(c => c !== cs);
+      removed += before - e.callsigns.length;
+      if (!e.callsigns.length && !e.subscriptions.length) delete data[owner];
+    }
+    if (removed) save();
+    return removed;
+  }
+
+  function dropSubscription(endpoint) {
+    for (const [owner, e] of Object.entries(data)) {
+      if (e.subscriptions.some(s => s.endpoint === endpoint)) {
+        update(owner, (x) => { x.subscriptions = x.subscriptions.filter(s => s.endpoint !== endpoint); });
+      }
+    }
+  }
+
+  /**
+   * message: { callsign, title, body, ... } (sent as the push payload as is)
+   * -> number of pushes attempted
+   */
+  function notify(message) {
+    if (!pushEnabled || !canNotify()) return 0;
+    const cs = normKey(message.callsign);
+    const targets = Object.values(data)
+      .filter(e => e.callsigns.includes(cs))
+      .flatMap(e => e.subscriptions)
+      .filter(sub => isPushServiceEndpoint(sub.endpoint)); // saved before the host check
+    const body = JSON.stringify(message);
+    for (const sub of targets) {
+      webpush.sendNotification(sub, body, { TTL: PUSH_TTL_SECONDS, urgency: "high", topic: `cs-${cs}`.replace(/[^A-Za-z0-9_-]/g, "").slice(0, 32) })
+        .then(() => onPush("ok"))
+        .catch((err) => {
+          if (err.statusCode === 404 || err.statusCode === 410) {
+            dropSubscription(sub.endpoint);
+            onPush("gone");
+          } else {
+            onPush("error");
+            console.warn(`Push to ${new URL(sub.endpoint).host} failed:`, err.statusCode || err.message);
+          }
+        });
+    }
+    return targets.length;
+  }
+
+  return {
+    pushEnabled,
+    publicKey: pushEnabled ? vapid.publicKey : null,
+    get: view,
+    setCallsigns,
+    add,
+    remove,
+    subscribe,
+    unsubscribe,
+    eraseCallsign,
+    notify,
+    watched: (callsign) => Object.values(data).some(e => e.callsigns.includes(normKey(callsign))),
+  };
+}
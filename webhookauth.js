@@ -0,0 +1,108 @@
+// webhookauth.js — webhook authentication: HMAC signatures with a replay window, or a shared token
+//
+// Per route, in order of preference:
+//  1. HMAC-SHA256 signature, when secretsFor(route) returns any secrets
+//     (current first, then the outgoing one while a secret is rotated).
+//     Headers: x-webhook-timestamp (unix seconds, ms or ISO) and
+//     x-webhook-signature: sha256=<hex of HMAC(secret, `${timestamp}.${rawBody}`)>.
+//     The timestamp must be within maxSkewMs of now, and a signature is
+//     accepted once: a repeat inside the window is a replay.
+//  2. Shared x-webhook-token header (token).
+//  3. Nothing configured: open.
+import crypto from "crypto";
+
+export function timingSafeEqualStr(a, b) {
+  const ab = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  if (ab.length !== bb.length) return false;
+  return crypto.timingSafeEqual(ab, bb);
+}
+
+export function parseWebhookTimestamp(raw) {
+  if (!raw) return NaN;
+  const s = String(raw).trim();
+  if (/^\d+$/.test(s)) {
+    const n = Number(s);
+    return n > 1e12 ? n : n * 1000; // ms or seconds
+  }
+  return Date.parse(s);
+}
+
+export function signWebhook(secret, timestamp, rawBody) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.`).update(rawBody).digest("hex");
+}
+
+/**
+ * secretsFor(route) -> [current, previous?]
+ * -> { verify(route, headers, rawBody) -> null when accepted, else the reason;
+ *      isProtected(route) }
+ */
+export function createWebhookVerifier({ secretsFor = () => [], token = "", maxSkewMs = 300000, now = () => Date.now() } = {}) {
+  // Signatures seen inside the skew window; a repeat is a replay
+  const seenSignatures = new Map(); // signature -> expiresAtMs
+
+  function rememberSignature(sig) {
+    const t = now();
+    for (const [k, exp] of seenSignatures) {
+      if (exp <= t) seenSignatures.delete(k);
+    }
+    if (seenSignatures.has(sig)) return false;
+    seenSignatures.set(sig, t + 2 * maxSkewMs);
+    return true;
+  }
+
+  function verify(route, headers, rawBody) {
+    const secrets = secretsFor(route);
+
+    if (secrets.length) {
+      const sigHeader = String(headers["x-webhook-signature"] || "");
+      const tsHeader  = headers["x-webhook-timestamp"];
+      if (!sigHeader) return "missing-signature";
+      if (!tsHeader)  return "missing-timestamp";
+
+      const tsMs = parseWebhookTimestamp(tsHeader);
+      if (!Number.isFinite(tsMs)) return "bad-timestamp";
+      if (Math.abs(now() - tsMs) > maxSkewMs) return "stale-timestamp";
+
+      const provided = sigHeader.replace(/^sha256=/i, "").toLowerCase();
+      const body = rawBody || Buffer.alloc(0);
+      const ok = secrets.some(secret => timingSafeEqualStr(provided, signWebhook(secret, tsHeader, body)));
+      if (!ok) return "bad-signature";
+      if (!rememberSignature(provided)) return "replayed";
+      return null;
+    }
+
+    if (token) {
+      const provided = headers["x-webhook-token"];
+      if (!provided) return "missing-token";
+      if (!timingSafeEqualStr(provided, token)) return "bad-token";
+      return null;
+    }
+
+    return null;
+  }
+
+  return {
+    verify,
+    isProtected: (route) => secretsFor(route).length > 0 || !!token,
+  };
+}
+
+/**
+ * Express error handler for webhook bodies express.json could not parse.
+ * Those never reach the route handlers, so the raw bytes are authenticated
+ * here first: checkAuth(req, res, route) answers unauthenticated callers
+ * itself (and returns false), and only authenticated ones reach
+ * onInvalid(req, res, route, err). observe(req, res) runs before either, for
+ * capture and metrics. Unknown routes get a plain 404.
+ */
+export function webhookParseErrors({ routes, checkAuth, onInvalid, observe = () => {} }) {
+  return (err, req, res, next) => {
+    if (!req.path.startsWith("/webhook/") || err?.type !== "entity.parse.failed") return next(err);
+    const route = req.path.replace(/^\/webhook\//, "");
+    observe(req, res);
+    if (!routes.includes(route)) return res.status(404).json({ ok: false, error: "Unknown webhook" });
+    if (!checkAuth(req, res, route)) return;
+    onInvalid(req, res, route, err);
+  };
+}